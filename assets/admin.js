@@ -1,12 +1,23 @@
 // assets/admin.js
 // MiLCo Admin — Monthly Batch Generator
-// - Parse raw XLSX sales report, generate monthly summary XLSX
+// - Parse raw XLSX sales report, generate monthly summary XLSX (one per period; multi-sheet workbooks supported)
 // - Generate BANK / MOMO batches + updated transactions ledger (CSV)
 // - Robust parsing + verification counters (no row is silently skipped)
 // - Appends period suffix to downloads e.g. bank-payment-batch-dec-2025.csv
+// - Remittance advice per paid supplier (printable, or ZIP of HTML files)
+// - Threshold what-if simulator (BANK/MOMO split, exceptions, estimated fees)
+// - Transfer fees from data/fee-schedule.csv (ledger FEE column and transfer-fees report, not the payment files)
+// - New ledger rows are booked as PENDING with a batch id (STATUS / STATUS DATE / BATCH ID columns)
+// - Exceptions go to the outstanding-payables register; fixed suppliers' arrears can join the next batch
+// - Bank bulk-upload files per debit account (generic layout, data/upload-profiles.csv)
+// - MoMo bulk-disbursement files per provider (same layout and setup file)
+// - Lesotho MoMo numbers validated (length, 266, network prefix vs provider); primary + alternates normalized
 
 const BANKING_DETAILS_URL = "data/banking-details.csv";
 const LEDGER_URL = "data/transactions.csv";
+const FEE_SCHEDULE_URL = "data/fee-schedule.csv";
+const OUTSTANDING_URL = "data/outstanding-payables.csv";
+const UPLOAD_PROFILES_URL = "data/upload-profiles.csv";
 
 const $ = (id) => document.getElementById(id);
 
@@ -15,8 +26,26 @@ const MONTHS = [
   "July", "August", "September", "October", "November", "December"
 ];
 
+const LEDGER_HEADERS = [
+  "MONTH", "YEAR", "PERIOD", "COMPANY NAME", "AMOUNT", "MODE", "REFERENCE", "FEE",
+  "STATUS", "STATUS DATE", "BATCH ID"
+];
+
+// Payment lifecycle: PENDING when the batch is generated, then PAID / FAILED / REVERSED once confirmed
+const LEDGER_STATUSES = ["PENDING", "PAID", "FAILED", "REVERSED"];
+
+// Exceptions still owed (OUTSTANDING) until a later batch pays them (SETTLED)
+const OUTSTANDING_HEADERS = [
+  "COMPANY NAME", "AMOUNT", "MODE", "MONTH", "YEAR", "PERIOD", "ISSUE", "STATUS",
+  "RAISED DATE", "SETTLED DATE", "SETTLED BATCH ID", "SETTLED REFERENCE"
+];
+
 let summaryRows = null;
 let summaryMeta = null;
+let rawSheets = null; // [{ name, rows }] of the chosen raw workbook
+let duplicatePolicy = null; // "REPLACE" | "APPEND_MISSING", set by the duplicate-period prompt for the next run
+let arrearsSelection = null; // Set of register keys chosen at the arrears prompt for the next run
+let arrearsPolicy = null; // duplicate policy of the run waiting at the arrears prompt, handed back with the choice
 
 function normName(s) {
   return (s ?? "")
@@ -53,6 +82,14 @@ function parseMonthYearFromText(text) {
   return { month: m[1], year: Number(y[1]), period: `${m[1]} ${y[1]}` };
 }
 
+// Chronological period key (YEAR * 12 + month index), NaN if unknown
+function periodKeyOf(r) {
+  const y = Number(r["YEAR"]);
+  const m = monthIndex(r["MONTH"]);
+  if (!Number.isFinite(y) || !y || m === -1) return NaN;
+  return y * 12 + m;
+}
+
 function parseCsvUrl(url) {
   return new Promise((resolve, reject) => {
     Papa.parse(url, {
@@ -79,6 +116,31 @@ function downloadText(filename, content) {
   URL.revokeObjectURL(a.href);
 }
 
+function downloadBlob(filename, blob) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// files: [{ name, content }] — zipped with the CFB module bundled in xlsx.full.min.js
+function downloadZip(filename, files) {
+  const zip = XLSX.CFB.utils.cfb_new();
+  const enc = new TextEncoder();
+  for (const f of files) XLSX.CFB.utils.cfb_add(zip, f.name, enc.encode(f.content));
+  const out = XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+  downloadBlob(filename, new Blob([new Uint8Array(out)], { type: "application/zip" }));
+}
+
+function escapeHtml(s) {
+  return clean(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 function money(n) {
   const x = Number(n);
   return Number.isFinite(x) ? x.toFixed(2) : "";
@@ -110,7 +172,8 @@ function downloadXlsx(filename, rows, sheetName) {
 
 function normalizeLedgerRows(ledgerRows) {
   // Ensures ledger rows adhere to:
-  // MONTH,YEAR,PERIOD,COMPANY NAME,AMOUNT,MODE,REFERENCE
+  // MONTH,YEAR,PERIOD,COMPANY NAME,AMOUNT,MODE,REFERENCE,FEE,STATUS,STATUS DATE,BATCH ID
+  // (FEE empty on rows booked before fees were tracked; rows booked before statuses were tracked count as PAID)
   const upgraded = [];
 
   for (const r of (ledgerRows || [])) {
@@ -118,6 +181,8 @@ function normalizeLedgerRows(ledgerRows) {
     const amount = Number(r["AMOUNT"] ?? r["Sum"] ?? r["TOTAL"]);
     const mode = clean(r["MODE"]);
     const reference = clean(r["REFERENCE"] ?? r["COMMENT"] ?? r["PERIOD"] ?? "");
+    const fee = parseAmount(r["FEE"]);
+    const status = normalizeLedgerStatus(r["STATUS"]);
 
     let month = clean(r["MONTH"]);
     let year = Number(r["YEAR"]);
@@ -151,13 +216,33 @@ function normalizeLedgerRows(ledgerRows) {
       "COMPANY NAME": company,
       "AMOUNT": money(amount),
       "MODE": mode || "",
-      "REFERENCE": reference || ""
+      "REFERENCE": reference || "",
+      "FEE": money(fee),
+      "STATUS": status,
+      "STATUS DATE": clean(r["STATUS DATE"]),
+      "BATCH ID": clean(r["BATCH ID"])
     });
   }
 
   return upgraded;
 }
 
+// Empty STATUS = a row from before statuses were tracked; those batches were all paid out.
+// Anything outside LEDGER_STATUSES is written back as it was, for the dashboard's Data Health panel to report.
+function normalizeLedgerStatus(value) {
+  return normName(value) || "PAID";
+}
+
+// e.g. B-202601-20261018-0930: payout period, then when the batch was generated
+function batchIdFor(key, now) {
+  const yyyymm = Number.isFinite(key)
+    ? `${Math.floor(key / 12)}${String((key % 12) + 1).padStart(2, "0")}`
+    : "000000";
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+  return `B-${yyyymm}-${stamp}`;
+}
+
 function isAllEmptyRow(obj) {
   return !Object.values(obj || {}).some((v) => clean(v) !== "");
 }
@@ -248,25 +333,26 @@ function updateMissing(target, source, fields) {
   return changed;
 }
 
-function readXlsxFile(file) {
+// Every sheet as arrays of rows: [{ name, rows }]
+function readXlsxWorkbook(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
         const data = new Uint8Array(e.target.result);
         const wb = XLSX.read(data, { type: "array" });
-        const firstSheetName = wb.SheetNames[0];
-        if (!firstSheetName) {
+        if (!wb.SheetNames.length) {
           reject(new Error("No sheets found in workbook."));
           return;
         }
-        const ws = wb.Sheets[firstSheetName];
-        const rows = XLSX.utils.sheet_to_json(ws, {
-          header: 1,
-          raw: false,
-          defval: ""
-        });
-        resolve({ rows, sheetName: firstSheetName });
+        resolve(wb.SheetNames.map((name) => ({
+          name,
+          rows: XLSX.utils.sheet_to_json(wb.Sheets[name], {
+            header: 1,
+            raw: false,
+            defval: ""
+          })
+        })));
       } catch (err) {
         reject(err);
       }
@@ -276,6 +362,17 @@ function readXlsxFile(file) {
   });
 }
 
+async function readXlsxFile(file) {
+  const sheets = await readXlsxWorkbook(file);
+  return { rows: sheets[0].rows, sheetName: sheets[0].name };
+}
+
+// Title (first non-empty cell of row 1) and the period it names, if any
+function sheetTitleInfo(rows) {
+  const title = clean((rows[0] || []).find((v) => clean(v) !== "") || "");
+  return { title, period: parseMonthYearFromText(title) };
+}
+
 function findHeaderRow(rows) {
   const required = ["COMPANY NAME", "COST"];
   const expected = [
@@ -483,245 +580,1588 @@ function parseRawSalesReport(rows) {
   };
 }
 
-function setVerifyVisible(visible) {
-  const box = $("verifyBox");
-  if (!box) return;
-  box.style.display = visible ? "block" : "none";
-}
-
-function setRawVerifyVisible(visible) {
-  const box = $("rawVerifyBox");
-  if (!box) return;
-  box.style.display = visible ? "block" : "none";
-}
+// --- Payout anomalies (new payouts vs each supplier's own history in the existing ledger; rules in assets/anomaly.js)
+// rows: { COMPANY NAME, AMOUNT, MONTH, YEAR, MODE }; ledgerRows: normalized existing ledger
+function findPayoutAnomalies(rows, ledgerRows, opts) {
+  const history = new Map(); // normalized name -> Map(period key -> total)
+  for (const r of ledgerRows) {
+    const k = periodKeyOf(r);
+    const name = normName(r["COMPANY NAME"]);
+    if (!Number.isFinite(k) || !name) continue;
+    if (!history.has(name)) history.set(name, new Map());
+    const byKey = history.get(name);
+    byKey.set(k, (byKey.get(k) || 0) + (parseAmount(r["AMOUNT"]) || 0));
+  }
 
-function setBadge(id, text) {
-  const el = $(id);
-  if (el) el.textContent = text;
+  const out = [];
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    const byKey = history.get(normName(r["COMPANY NAME"])) || new Map();
+    const prior = [...byKey.entries()].filter(([hk]) => hk < k).map(([, v]) => v);
+    const amount = parseAmount(r["AMOUNT"]) || 0;
+    const hit = payoutAnomaly(amount, prior, opts);
+    if (!hit) continue;
+    out.push({
+      "COMPANY NAME": clean(r["COMPANY NAME"]),
+      "AMOUNT": money(amount),
+      "MODE": clean(r["MODE"]),
+      "MONTH": clean(r["MONTH"]),
+      "YEAR": clean(r["YEAR"]),
+      "USUAL (MEDIAN)": Number.isFinite(hit.baseline) ? money(hit.baseline) : "",
+      "SCORE": Number.isFinite(hit.score) ? hit.score.toFixed(1) : "",
+      "ISSUE": hit.reason
+    });
+  }
+  return out;
 }
 
-function renderVerifyTable(metrics) {
-  const tbody = document.querySelector("#verifyTable tbody");
-  if (!tbody) return;
+function renderAnomalyTable(anomalies) {
+  const box = $("anomalyBox");
+  const tbody = document.querySelector("#anomalyVerifyTable tbody");
+  if (!box || !tbody) return;
+  box.style.display = anomalies.length ? "block" : "none";
   tbody.innerHTML = "";
-  for (const [k, v] of metrics) {
+  for (const a of anomalies) {
     const tr = document.createElement("tr");
-    tr.innerHTML = `<td>${k}</td><td>${v}</td>`;
+    tr.innerHTML = `
+      <td>${a["COMPANY NAME"]}</td>
+      <td>${a["AMOUNT"]}</td>
+      <td>${a["MODE"]}</td>
+      <td>${a["USUAL (MEDIAN)"] || "—"}</td>
+      <td>${a["SCORE"] || "—"}</td>
+      <td>${a["ISSUE"]}</td>
+    `;
     tbody.appendChild(tr);
   }
 }
 
-$("generateSummaryBtn")?.addEventListener("click", async () => {
-  $("summaryStatus").textContent = "Reading raw XLSX...";
-  $("summaryDownloads").innerHTML = "";
-  setRawVerifyVisible(false);
-  summaryRows = null;
-  summaryMeta = null;
+// --- Remittance advice (one per paid supplier, handed out as proof of payment)
+// "1032156900018" -> "*********0018"
+function maskAccount(value) {
+  return clean(value)
+    .split("/")
+    .map((part) => {
+      const v = part.replace(/\s+/g, "");
+      if (v.length <= 4) return v;
+      return "*".repeat(v.length - 4) + v.slice(-4);
+    })
+    .join(" / ");
+}
 
-  const file = $("rawFile").files?.[0];
-  if (!file) {
-    $("summaryStatus").textContent = "Please choose a raw sales XLSX file first.";
+function slugify(s) {
+  return clean(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+const REMITTANCE_CSS = `
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #1f2937; margin: 0; }
+  .advice { max-width: 720px; margin: 0 auto; padding: 32px; page-break-after: always; }
+  .advice:last-child { page-break-after: auto; }
+  .head { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #e30613; padding-bottom: 12px; }
+  .head h1 { margin: 0; font-size: 20px; }
+  .muted { color: #6b7280; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+  th, td { text-align: left; padding: 10px 12px; border-bottom: 1px solid #e6e8ec; font-size: 14px; }
+  th { width: 40%; color: #6b7280; font-weight: 600; }
+  .amount { font-size: 22px; font-weight: 700; }
+  .foot { margin-top: 28px; }
+  @page { size: A4; margin: 16mm; }
+`;
+
+function remittanceSectionHtml(r) {
+  return `
+  <section class="advice">
+    <div class="head">
+      <div>
+        <h1>Remittance Advice</h1>
+        <div class="muted">Made-In-Lesotho Retail Cooperative Society Ltd (MiLCo)</div>
+      </div>
+      <div class="muted" style="text-align:right;">
+        Advice no. <b>${escapeHtml(r.adviceNo)}</b><br>
+        Issued ${escapeHtml(r.issued)}
+      </div>
+    </div>
+
+    <p style="margin-top:20px;">To: <b>${escapeHtml(r.company)}</b></p>
+    <p class="muted">We have paid the following amount for your sales through MiLCo.</p>
+
+    <table>
+      <tr><th>Sales period</th><td>${escapeHtml(r.period)}</td></tr>
+      <tr><th>Amount paid</th><td class="amount">M ${escapeHtml(r.amount)}</td></tr>
+      <tr><th>Payment mode</th><td>${escapeHtml(r.mode)}</td></tr>
+      <tr><th>${r.mode === "BANK" ? "Bank" : "MoMo provider"}</th><td>${escapeHtml(r.institution) || "—"}</td></tr>
+      <tr><th>${r.mode === "BANK" ? "Account" : "MoMo number"}</th><td>${escapeHtml(r.maskedAccount)}</td></tr>
+      ${r.names ? `<tr><th>Account names</th><td>${escapeHtml(r.names)}</td></tr>` : ""}
+      <tr><th>Payment reference</th><td>${escapeHtml(r.reference)}</td></tr>
+    </table>
+
+    <p class="muted foot">
+      Please check this against your bank or mobile money statement and contact MiLCo if anything is different.
+    </p>
+  </section>`;
+}
+
+function remittanceDocument(title, sections) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${REMITTANCE_CSS}</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>`;
+}
+
+function printRemittances(title, remittances) {
+  const html = remittanceDocument(title, remittances.map(remittanceSectionHtml));
+  const win = window.open("", "_blank");
+  if (!win) {
+    // Popup blocked: hand over the combined document instead
+    downloadBlob(`${slugify(title)}.html`, new Blob([html], { type: "text/html;charset=utf-8" }));
     return;
   }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
 
-  try {
-    const { rows } = await readXlsxFile(file);
-    const parsed = parseRawSalesReport(rows);
-    if (parsed.error) {
-      $("summaryStatus").textContent = parsed.error;
-      return;
-    }
+function downloadRemittanceZip(filename, remittances) {
+  const files = remittances.map((r) => ({
+    name: `${r.adviceNo}-${slugify(r.company)}.html`,
+    content: remittanceDocument(`Remittance Advice ${r.adviceNo} — ${r.company}`, [remittanceSectionHtml(r)])
+  }));
+  downloadZip(filename, files);
+}
 
-    summaryRows = parsed.summaryRows;
-    summaryMeta = {
-      title: parsed.title,
-      month: parsed.month,
-      year: parsed.year
-    };
+// --- Transfer fees (data/fee-schedule.csv)
+// One rule per CHANNEL (BANK/MOMO) + PROVIDER (bank or MoMo provider, "*" = any other):
+//   FLAT    FEE is maloti per transfer
+//   PERCENT FEE is % of the amount
+//   TIERED  one row per amount band FROM..TO (inclusive, empty TO = no cap), FEE is maloti
+const FEE_TYPES = ["FLAT", "PERCENT", "TIERED"];
+
+// Spellings used in banking-details.csv for the same institution
+const INSTITUTION_ALIASES = {
+  "POSTBANK": "POST BANK",
+  "LESOTHO POST BANK": "POST BANK",
+  "STANDARD BANK": "STANDARD LESOTHO BANK",
+  "SLB": "STANDARD LESOTHO BANK",
+  "FIRST NATIONAL BANK": "FNB",
+  "M-PESA": "MPESA",
+  "M PESA": "MPESA",
+  "ECO CASH": "ECOCASH"
+};
+
+function normInstitution(s) {
+  const n = normName(s);
+  return INSTITUTION_ALIASES[n] || n;
+}
 
-    if (!summaryRows.length) {
-      $("summaryStatus").textContent = "No valid data rows found after the header.";
-      return;
-    }
+function normalizeFeeSchedule(rows) {
+  const rules = [];
+  for (const r of (rows || [])) {
+    const channel = normName(r["CHANNEL"]);
+    const type = normName(r["TYPE"]);
+    const fee = parseAmount(r["FEE"]);
+    if (!["BANK", "MOMO"].includes(channel) || !FEE_TYPES.includes(type) || !Number.isFinite(fee)) continue;
+
+    const from = parseAmount(r["FROM"]);
+    const to = parseAmount(r["TO"]);
+    rules.push({
+      channel,
+      provider: clean(r["PROVIDER"]) === "*" ? "*" : normInstitution(r["PROVIDER"]) || "*",
+      type,
+      from: Number.isFinite(from) ? from : 0,
+      to: Number.isFinite(to) ? to : Infinity,
+      fee
+    });
+  }
+  return rules;
+}
 
-    const month = parsed.month;
-    const year = parsed.year;
-    const sheetName = `MILCO SUMMARY ${month} ${year}`;
-    const filename = `milco-sales-summary-${monthShort(month)}-${year}.xlsx`;
+// Fee for one transfer; NaN when no rule covers it (e.g. an empty schedule)
+function transferFee(schedule, channel, provider, amount) {
+  const forChannel = (schedule || []).filter((r) => r.channel === channel);
+  const key = normInstitution(provider);
+  const own = forChannel.filter((r) => r.provider === key);
+  const rules = own.length ? own : forChannel.filter((r) => r.provider === "*");
+
+  const rule = rules.find((r) => r.type !== "TIERED" || (amount >= r.from && amount <= r.to));
+  if (!rule) return NaN;
+  if (rule.type === "PERCENT") return Math.round(amount * rule.fee) / 100;
+  return rule.fee;
+}
 
-    const dlWrap = $("summaryDownloads");
-    const btn = document.createElement("button");
-    btn.textContent = `Download ${filename}`;
-    btn.classList.add("btn-success");
-    btn.addEventListener("click", () => downloadXlsx(filename, summaryRows, sheetName));
-    dlWrap.appendChild(btn);
-
-    if (parsed.invalidRows.length) {
-      const invalidName = `invalid-raw-rows-${monthShort(month)}-${year}.csv`;
-      const invalidBtn = document.createElement("button");
-      invalidBtn.style.marginLeft = "8px";
-      invalidBtn.textContent = `Download ${invalidName}`;
-      invalidBtn.classList.add("btn-danger");
-      invalidBtn.addEventListener("click", () => {
-        const csv = toCsv(parsed.invalidRows, ["ROW_NUMBER", "COMPANY NAME", "COST", "ISSUE"]);
-        downloadText(invalidName, csv);
-      });
-      dlWrap.appendChild(invalidBtn);
-    }
+async function loadFeeSchedule() {
+  const rows = await parseCsvUrl(FEE_SCHEDULE_URL).catch(() => []);
+  return normalizeFeeSchedule(rows);
+}
+
+// --- Lesotho mobile numbers: 8 digits after country code 266; the first digit gives the network
+const MOMO_COUNTRY_CODE = "266";
+const MOMO_NUMBER_LENGTH = 8;
+const MOMO_PREFIXES = { MPESA: "5", ECOCASH: "6" }; // Vodacom / Econet
+
+// "58408664/ 63227380" -> [{ raw, number, error }]; number is the 8 local digits when valid
+function parseMomoNumbers(raw) {
+  return clean(raw)
+    .split(/[\/,;|]+/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const compact = part.replace(/[\s().-]+/g, "");
+      if (!/^\+?\d+$/.test(compact)) {
+        return { raw: part, number: "", error: `"${part}" contains characters other than digits` };
+      }
+      const international = /^(\+|00)/.test(compact);
+      let digits = compact.replace(/^(\+|00)/, "");
+      if (international && !digits.startsWith(MOMO_COUNTRY_CODE)) {
+        return { raw: part, number: "", error: `"${part}" is not a Lesotho number (country code ${MOMO_COUNTRY_CODE})` };
+      }
+      if (digits.length === MOMO_COUNTRY_CODE.length + MOMO_NUMBER_LENGTH && digits.startsWith(MOMO_COUNTRY_CODE)) {
+        digits = digits.slice(MOMO_COUNTRY_CODE.length);
+      }
+      if (digits.length !== MOMO_NUMBER_LENGTH) {
+        return { raw: part, number: "", error: `"${part}" has ${digits.length} digits, expected ${MOMO_NUMBER_LENGTH}` };
+      }
+      return { raw: part, number: digits, error: "" };
+    });
+}
 
-    if (parsed.missingExpected.length) {
-      $("summaryStatus").textContent =
-        `Summary ready. Warning: missing expected column(s): ${parsed.missingExpected.join(", ")}.`;
+// Primary number = first valid number on the supplier's provider network; other valid numbers are alternates.
+// A provider like "ECOCASH/MPESA" resolves to the network of that primary number (resolvedFrom keeps the
+// original value so the row can be flagged). Returns { provider, resolvedFrom, primary, alternates, issues,
+// warnings }: issues block the payment, warnings are invalid extra numbers that were left out.
+function resolveMomoNumber(rawNumber, rawProvider) {
+  const known = clean(rawProvider).split("/").map(normInstitution).filter((p) => MOMO_PREFIXES[p]);
+  const numbers = parseMomoNumbers(rawNumber);
+  const valid = numbers.filter((n) => !n.error);
+  const networkOf = (n) => known.find((p) => n.number.startsWith(MOMO_PREFIXES[p]));
+
+  const out = { provider: clean(rawProvider), resolvedFrom: "", primary: "", alternates: [], issues: [], warnings: [] };
+  let primary = null;
+  if (!valid.length) {
+    out.issues.push(...numbers.map((n) => `Invalid MOMO Number ${n.error}`));
+  } else if (known.length) {
+    primary = valid.find(networkOf) || null;
+    if (primary) {
+      out.provider = networkOf(primary);
+      if (known.length > 1) out.resolvedFrom = clean(rawProvider);
     } else {
-      $("summaryStatus").textContent = "Summary ready. You can now generate batch files.";
+      const rule = known.map((p) => `${p} numbers start with ${MOMO_PREFIXES[p]}`).join(", ");
+      out.issues.push(`MOMO Number ${valid.map((n) => n.number).join("/")} does not match ${known.join("/")} (${rule})`);
     }
+  } else {
+    primary = valid[0]; // unknown provider: no prefix rule to check
+  }
 
-    const m = parsed.metrics;
-    setRawVerifyVisible(true);
-    setBadge("rParsed", `Parsed: ${m.parsedRowCount}`);
-    setBadge("rNonEmpty", `Non-empty: ${m.nonEmpty}`);
-    setBadge("rInvalid", `Invalid: ${m.invalidCount}`);
-    setBadge("rSuppliers", `Suppliers: ${m.suppliers}`);
-    setBadge("rRawTotal", `Raw total: ${money(m.rawTotal)}`);
-    setBadge("rSumTotal", `Summary total: ${money(m.summaryTotal)}`);
+  if (primary) {
+    out.primary = MOMO_COUNTRY_CODE + primary.number;
+    out.alternates = [...new Set(valid.filter((n) => n !== primary).map((n) => MOMO_COUNTRY_CODE + n.number))]
+      .filter((n) => n !== out.primary);
+    out.warnings = numbers.filter((n) => n.error).map((n) => `Ignored MOMO Number ${n.error}`);
+  }
+  return out;
+}
 
-    const verifyOk = Math.abs(m.rawTotal - m.summaryTotal) < 0.01;
-    const note = $("rawVerifyNote");
-    if (note) {
-      note.innerHTML = verifyOk
-        ? "Verification passed. Raw total COST equals Summary total COST."
-        : "<b>Verification failed.</b> Raw total does not match Summary total.";
+// What a supplier still needs before a payment in `mode` can go into a batch
+function missingPaymentDetails(supplier, mode) {
+  const missing = [];
+  if (mode === "BANK") {
+    if (!clean(supplier["ACCOUNT"])) missing.push("Missing Bank Account");
+    if (!clean(supplier["BRANCH"])) missing.push("Missing Branch Code");
+  } else {
+    if (!clean(supplier["MOMO"])) missing.push("Missing MOMO Provider");
+    if (!clean(supplier["MOMO NUMBER"])) missing.push("Missing MOMO Number");
+    if (!clean(supplier["MOMO NAMES"])) missing.push("Missing MOMO Names");
+    if (clean(supplier["MOMO"]) && clean(supplier["MOMO NUMBER"])) {
+      missing.push(...resolveMomoNumber(supplier["MOMO NUMBER"], supplier["MOMO"]).issues);
     }
-  } catch (err) {
-    $("summaryStatus").textContent = `Failed to read XLSX: ${err.message || err}`;
   }
-});
+  return missing;
+}
 
-$("updateBankingBtn")?.addEventListener("click", async () => {
-  $("bankingStatus").textContent = "Loading banking details...";
-  $("bankingDownloads").innerHTML = "";
+// --- Bank and MoMo bulk-upload files
+// One generic delimited layout (UPLOAD_COLUMNS, with a title row), set up per debit account in
+// data/upload-profiles.csv. Values are written in full with standard CSV quoting; only the reference is
+// cut to REFERENCE MAX. A profile with no DEBIT ACCOUNT or an unusable setting is held back (blocked).
+const UPLOAD_COLUMNS = {
+  BANK: ["DEBIT ACCOUNT", "VALUE DATE", "BENEFICIARY NAME", "ACCOUNT", "BRANCH", "AMOUNT", "REFERENCE"],
+  MOMO: ["DEBIT ACCOUNT", "VALUE DATE", "MSISDN", "RECIPIENT NAME", "AMOUNT", "REFERENCE"]
+};
+const UPLOAD_DELIMITERS = { ",": ",", ";": ";", "|": "|", "TAB": "\t" };
+const MSISDN_FORMATS = ["INTERNATIONAL", "LOCAL"]; // 266 + 8 digits / 8 digits
+
+// data/upload-profiles.csv rows -> [{ id, channel, institution, debitAccount, delimiter, dateFormat,
+// referenceMax, msisdnFormat, blocked }]; INSTITUTION "*" = any bank without its own profile
+function normalizeUploadProfiles(rows) {
+  const profiles = [];
+  for (const r of (rows || [])) {
+    const id = normName(r["PROFILE"]);
+    const channel = normName(r["CHANNEL"]);
+    if (!id || !UPLOAD_COLUMNS[channel] || profiles.some((p) => p.id === id)) continue;
+
+    const delimiter = normName(r["DELIMITER"]) || ",";
+    const dateFormat = normName(r["DATE FORMAT"]) || "YYYY-MM-DD";
+    const referenceMaxRaw = clean(r["REFERENCE MAX"]);
+    const referenceMax = referenceMaxRaw ? Number(referenceMaxRaw) : Infinity;
+    const msisdnFormat = normName(r["MSISDN FORMAT"]) || "INTERNATIONAL";
+
+    const problems = [];
+    if (!clean(r["DEBIT ACCOUNT"])) problems.push("no DEBIT ACCOUNT");
+    if (!UPLOAD_DELIMITERS[delimiter]) problems.push(`DELIMITER "${delimiter}" not supported`);
+    if (!["YYYY", "MM", "DD"].every((t) => dateFormat.includes(t))) problems.push(`DATE FORMAT "${dateFormat}" needs YYYY, MM and DD`);
+    if (referenceMaxRaw && !(Number.isInteger(referenceMax) && referenceMax > 0)) {
+      problems.push(`REFERENCE MAX "${referenceMaxRaw}" is not a whole number`);
+    }
+    if (channel === "MOMO" && !MSISDN_FORMATS.includes(msisdnFormat)) problems.push(`MSISDN FORMAT "${msisdnFormat}" not supported`);
+
+    profiles.push({
+      id,
+      channel,
+      institution: clean(r["INSTITUTION"]) === "*" ? "*" : normInstitution(r["INSTITUTION"]),
+      debitAccount: clean(r["DEBIT ACCOUNT"]),
+      delimiter: UPLOAD_DELIMITERS[delimiter] || ",",
+      dateFormat,
+      referenceMax: Number.isInteger(referenceMax) && referenceMax > 0 ? referenceMax : Infinity,
+      msisdnFormat,
+      blocked: problems.join(", ")
+    });
+  }
+  return profiles;
+}
 
-  const [bankingRows] = await Promise.all([parseCsvUrl(BANKING_DETAILS_URL).catch(() => [])]);
-  const banking = normalizeBankingRows(bankingRows);
-  const bankMap = new Map();
-  banking.forEach((r) => bankMap.set(normName(r["COMPANY NAME"]), r));
+async function loadUploadProfiles() {
+  const rows = await parseCsvUrl(UPLOAD_PROFILES_URL).catch(() => []);
+  return normalizeUploadProfiles(rows);
+}
 
-  const salesFile = $("bankUpdateSalesFile").files?.[0];
-  const momoFile = $("bankUpdateMomoFile").files?.[0];
+// The beneficiary's own bank, else the "*" profile
+function bankProfileFor(profiles, bank) {
+  const banks = profiles.filter((p) => p.channel === "BANK");
+  const inst = normInstitution(bank);
+  return banks.find((p) => p.institution === inst) || banks.find((p) => p.institution === "*") || null;
+}
 
-  if (!salesFile && !momoFile) {
-    $("bankingStatus").textContent = "Please upload at least one XLSX file.";
-    return;
+function formatDate(date, format) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return format
+    .replace("YYYY", String(date.getFullYear()))
+    .replace("MM", pad(date.getMonth() + 1))
+    .replace("DD", pad(date.getDate()));
+}
+
+// One upload file for a profile. items: [{ amount (number), reference (uncut), fields: { other columns } }]
+function buildUploadFile(profile, items, opts) {
+  const date = formatDate(opts.valueDate, profile.dateFormat);
+  let shortened = 0;
+  const rows = items.map((it) => {
+    const reference = clean(it.reference);
+    if (reference.length > profile.referenceMax) shortened++;
+    return {
+      ...it.fields,
+      "DEBIT ACCOUNT": profile.debitAccount,
+      "VALUE DATE": date,
+      "AMOUNT": it.amount.toFixed(2),
+      "REFERENCE": reference.slice(0, profile.referenceMax).trim()
+    };
+  });
+
+  return {
+    name: `${profile.channel.toLowerCase()}-upload-${slugify(profile.id)}${opts.periodSuffix}.csv`,
+    content: Papa.unparse(rows, {
+      columns: UPLOAD_COLUMNS[profile.channel],
+      delimiter: profile.delimiter,
+      newline: "\r\n"
+    }) + "\r\n",
+    profile,
+    count: items.length,
+    total: items.reduce((acc, it) => acc + it.amount, 0),
+    shortened,
+    blocked: profile.blocked
+  };
+}
+
+// Options follow the BANK profiles in data/upload-profiles.csv
+async function setupBankUploadOptions() {
+  if ($("valueDate") && !$("valueDate").value) $("valueDate").value = new Date().toISOString().slice(0, 10);
+  const sel = $("debitBank");
+  if (!sel) return;
+  const banks = (await loadUploadProfiles()).filter((p) => p.channel === "BANK");
+  const label = (p) => `${p.id} (${p.institution === "*" ? "any bank" : p.institution})`;
+  sel.innerHTML =
+    `<option value="GENERIC">Generic CSV only</option>` +
+    (banks.length ? `<option value="SPLIT">Per beneficiary bank</option>` : "") +
+    banks.map((p) => `<option value="${escapeHtml(p.id)}">All through ${escapeHtml(label(p))}</option>`).join("");
+}
+
+// debitBank: "SPLIT" = each payment through the profile for the beneficiary's bank (else the "*" profile),
+// or a profile id to send every payment through that account. Payments with no profile go in no file.
+function bankUploadFiles(bankBatch, debitBank, opts) {
+  const groups = new Map();
+  for (const r of bankBatch) {
+    const profile = debitBank === "SPLIT"
+      ? bankProfileFor(opts.profiles, r["BANK"])
+      : opts.profiles.find((p) => p.channel === "BANK" && p.id === debitBank);
+    if (!profile) continue;
+    if (!groups.has(profile.id)) groups.set(profile.id, { profile, rows: [] });
+    groups.get(profile.id).rows.push(r);
   }
+  return [...groups.values()].map((g) => buildUploadFile(g.profile, g.rows.map((r) => ({
+    amount: parseAmount(r["AMOUNT"]),
+    reference: r["COMMENT"],
+    fields: { "BENEFICIARY NAME": r["NAME"], "ACCOUNT": r["ACCOUNT"], "BRANCH": r["BRANCH"] }
+  })), opts));
+}
 
-  let salesMap = new Map();
-  let momoMap = new Map();
+// Batch numbers are already 266 + 8 digits (resolveMomoNumber); LOCAL drops the country code
+function formatMsisdn(number, format) {
+  const local = clean(number).replace(new RegExp(`^${MOMO_COUNTRY_CODE}`), "");
+  return format === "INTERNATIONAL" ? MOMO_COUNTRY_CODE + local : local;
+}
 
-  if (salesFile) {
-    try {
-      const { rows } = await readXlsxFile(salesFile);
-      const parsed = parseRawBankingDetails(rows);
-      if (parsed.error) {
-        $("bankingStatus").textContent = parsed.error;
-        return;
-      }
-      salesMap = parsed.map;
-    } catch (err) {
-      $("bankingStatus").textContent = `Failed to read raw sales XLSX: ${err.message || err}`;
-      return;
+// Rows go to the MOMO profile for their provider; providers without one are flagged
+function momoUploadFiles(momoBatch, opts) {
+  const groups = new Map();
+  const flagged = [];
+  for (const r of momoBatch) {
+    const provider = normInstitution(r["MOMO PROVIDER"]);
+    const profile = opts.profiles.find((p) => p.channel === "MOMO" && p.institution === provider);
+    if (!profile) {
+      flagged.push({ ...r, "ISSUE": `No upload profile for MoMo provider "${clean(r["MOMO PROVIDER"])}"` });
+      continue;
     }
+    if (!groups.has(profile.id)) groups.set(profile.id, { profile, rows: [] });
+    groups.get(profile.id).rows.push(r);
   }
+  const files = [...groups.values()].map((g) => buildUploadFile(g.profile, g.rows.map((r) => ({
+    amount: parseAmount(r["AMOUNT"]),
+    reference: r["COMMENT"],
+    fields: { "MSISDN": formatMsisdn(r["MOMO NUMBER"], g.profile.msisdnFormat), "RECIPIENT NAME": r["MOMO NAMES"] }
+  })), opts));
+  return { files, flagged };
+}
 
-  if (momoFile) {
-    try {
-      const { rows } = await readXlsxFile(momoFile);
-      const parsed = parseMomoUpdateSheet(rows);
-      momoMap = parsed.map;
-    } catch (err) {
-      $("bankingStatus").textContent = `Failed to read MoMo update XLSX: ${err.message || err}`;
-      return;
-    }
+// --- Threshold what-if simulator
+// Replays the current summary or ledger periods under other BANK thresholds.
+// Fees come from data/fee-schedule.csv, using each supplier's bank / MoMo provider.
+let simLedger = null;
+let simBanking = null;
+let simFeeSchedule = null;
+let simHistogramInstance = null;
+
+async function loadSimulatorData() {
+  if (!simLedger || !simBanking || !simFeeSchedule) {
+    const [banking, ledgerRaw, feeSchedule] = await Promise.all([
+      parseCsvUrl(BANKING_DETAILS_URL),
+      parseCsvUrl(LEDGER_URL).catch(() => []),
+      loadFeeSchedule()
+    ]);
+    simBanking = banking;
+    simLedger = normalizeLedgerRows(ledgerRaw);
+    simFeeSchedule = feeSchedule;
   }
+  return { banking: simBanking, ledger: simLedger, feeSchedule: simFeeSchedule };
+}
 
-  let updatedCount = 0;
-  let addedCount = 0;
+function parseThresholdList(text) {
+  const list = clean(text)
+    .split(/[\s,;]+/)
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n >= 0);
+  return [...new Set(list)].sort((a, b) => a - b);
+}
 
-  const allKeys = new Set([
-    ...Array.from(bankMap.keys()),
-    ...Array.from(salesMap.keys()),
-    ...Array.from(momoMap.keys())
-  ]);
+// Payouts to replay: [{ company, amount, key }]
+function simulatorPayouts(source, ledger) {
+  if (source === "SUMMARY") {
+    return (summaryRows || [])
+      .filter((r) => !isAllEmptyRow(r))
+      .map((r) => ({
+        company: clean(r["COMPANY NAME"]),
+        amount: parseAmount(r["SUM of COST"]),
+        key: periodKeyOf(r)
+      }))
+      .filter((p) => p.company && Number.isFinite(p.amount));
+  }
 
-  for (const key of allKeys) {
-    const existing = bankMap.get(key);
-    const sales = salesMap.get(key) || {};
-    const momo = momoMap.get(key) || {};
+  return ledger
+    .map((r) => ({ company: r["COMPANY NAME"], amount: parseAmount(r["AMOUNT"]), key: periodKeyOf(r) }))
+    .filter((p) => Number.isFinite(p.amount) && (source === "ALL" || String(p.key) === source));
+}
 
-    if (existing) {
-      const changedBank = updateMissing(existing, sales, ["BANK", "ACCOUNT", "BRANCH"]);
-      const changedMomo = updateMissing(existing, momo, ["MOMO", "MOMO NUMBER", "MOMO NAMES"]);
-      if (changedBank || changedMomo) updatedCount++;
+function simulateThreshold(payouts, supplierMap, threshold, feeSchedule) {
+  const out = {
+    threshold,
+    bank: 0,
+    momo: 0,
+    bankTotal: 0,
+    momoTotal: 0,
+    notFound: 0,
+    missingDetails: 0,
+    fees: 0,
+    unpriced: 0
+  };
+
+  for (const p of payouts) {
+    const mode = p.amount >= threshold ? "BANK" : "MOMO";
+    const supplier = supplierMap.get(normName(p.company));
+    if (!supplier) {
+      out.notFound++;
+      continue;
+    }
+    if (missingPaymentDetails(supplier, mode).length) {
+      out.missingDetails++;
+      continue;
+    }
+    if (mode === "BANK") {
+      out.bank++;
+      out.bankTotal += p.amount;
     } else {
-      const name = sales["COMPANY NAME"] || momo["COMPANY NAME"];
-      if (!name) continue;
-      bankMap.set(key, {
-        "COMPANY NAME": name,
-        "BANK": clean(sales["BANK"] || ""),
-        "ACCOUNT": clean(sales["ACCOUNT"] || ""),
-        "BRANCH": "",
-        "MOMO": clean(momo["MOMO"] || ""),
-        "MOMO NUMBER": clean(momo["MOMO NUMBER"] || ""),
-        "MOMO NAMES": clean(momo["MOMO NAMES"] || "")
-      });
-      addedCount++;
+      out.momo++;
+      out.momoTotal += p.amount;
     }
+    const provider = mode === "BANK"
+      ? supplier["BANK"]
+      : resolveMomoNumber(supplier["MOMO NUMBER"], supplier["MOMO"]).provider;
+    const fee = transferFee(feeSchedule, mode, provider, p.amount);
+    if (Number.isFinite(fee)) out.fees += fee;
+    else out.unpriced++;
   }
 
-  const updatedRows = Array.from(bankMap.values()).sort((a, b) => {
-    return clean(a["COMPANY NAME"]).localeCompare(clean(b["COMPANY NAME"]));
-  });
+  return out;
+}
 
-  renderBankingTable(updatedRows);
+// Bin width rounded to 1/2/5 x 10^n so the axis reads cleanly
+function histogramBinWidth(maxAmount, targetBins) {
+  const raw = Math.max(maxAmount, 1) / targetBins;
+  const pow = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].find((m) => m * pow >= raw);
+  return step * pow;
+}
 
-  const csv = toCsv(updatedRows, [
-    "COMPANY NAME",
-    "BANK",
-    "ACCOUNT",
-    "BRANCH",
-    "MOMO",
-    "MOMO NUMBER",
-    "MOMO NAMES"
-  ]);
+function renderSimulatorHistogram(payouts, markers) {
+  const canvas = $("simHistogram");
+  if (!canvas || typeof Chart === "undefined") return;
+
+  const amounts = payouts.map((p) => p.amount).filter((a) => a >= 0);
+  const maxMarker = Math.max(0, ...markers.map((m) => m.value));
+  // Cap the axis at the 98th percentile so a few huge payouts do not squash the rest
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const p98 = sorted.length ? sorted[Math.floor((sorted.length - 1) * 0.98)] : 0;
+  const width = histogramBinWidth(Math.max(p98, maxMarker * 1.25), 24);
+  const binCount = Math.max(1, Math.ceil(Math.max(p98, maxMarker * 1.25) / width));
+
+  const counts = new Array(binCount).fill(0);
+  for (const a of amounts) counts[Math.min(binCount - 1, Math.floor(a / width))]++;
+  const labels = counts.map((_, i) =>
+    i === binCount - 1 ? `${i * width}+` : `${i * width}–${(i + 1) * width}`
+  );
 
-  const btn = document.createElement("button");
-  btn.textContent = "Download updated banking-details.csv";
-  btn.classList.add("btn-success");
-  btn.addEventListener("click", () => downloadText("banking-details.csv", csv));
-  $("bankingDownloads").appendChild(btn);
+  // Draws each marker as a vertical line at its amount (category axis, so interpolate between bins)
+  const thresholdLines = {
+    id: "thresholdLines",
+    afterDatasetsDraw(chart) {
+      const x = chart.scales.x;
+      const area = chart.chartArea;
+      const step = binCount > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : area.right - area.left;
+      const ctx = chart.ctx;
+      for (const m of markers) {
+        const px = x.getPixelForValue(0) + (m.value / width - 0.5) * step;
+        ctx.save();
+        ctx.strokeStyle = m.color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(px, area.top);
+        ctx.lineTo(px, area.bottom);
+        ctx.stroke();
+        ctx.fillStyle = m.color;
+        ctx.font = "12px system-ui, sans-serif";
+        ctx.fillText(m.label, px + 4, area.top + 12);
+        ctx.restore();
+      }
+    }
+  };
 
-  $("bankingStatus").textContent =
-    `Done. Updated: ${updatedCount}, Added: ${addedCount}. Download the updated file.`;
-});
+  if (simHistogramInstance) simHistogramInstance.destroy();
+  simHistogramInstance = new Chart(canvas, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [{ label: "Payouts", data: counts, categoryPercentage: 1, barPercentage: 0.95 }]
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { title: { display: true, text: "Payout amount (M)" } },
+        y: { beginAtZero: true, title: { display: true, text: "Payouts" }, ticks: { precision: 0 } }
+      }
+    },
+    plugins: [thresholdLines]
+  });
+}
 
-$("processBtn")?.addEventListener("click", async () => {
-  $("status").textContent = "Loading banking details + ledger...";
-  $("downloads").innerHTML = "";
-  $("exceptions").textContent = "";
-  setVerifyVisible(false);
+async function setupSimulator() {
+  const select = $("simSource");
+  if (!select) return;
 
-  if (!summaryRows || !summaryRows.length) {
-    $("status").textContent = "Please generate the Monthly Sales Summary (XLSX) first.";
-    return;
-  }
+  const { ledger } = await loadSimulatorData();
+  const keys = [...new Set(ledger.map(periodKeyOf).filter(Number.isFinite))].sort((a, b) => b - a);
 
-  const threshold = Number($("threshold").value ?? 400);
+  select.innerHTML =
+    `<option value="SUMMARY">Current summary (step 1)</option>` +
+    `<option value="ALL">All ledger periods</option>` +
+    keys
+      .map((k) => `<option value="${k}">${MONTHS[k % 12]} ${Math.floor(k / 12)} (ledger)</option>`)
+      .join("");
+  if (!summaryRows && keys.length) select.value = String(keys[0]);
+}
 
-  const [banking, ledgerExistingRaw] = await Promise.all([
+async function runSimulator() {
+  const status = $("simStatus");
+  const tbody = document.querySelector("#simTable tbody");
+  if (!tbody) return;
+
+  const source = $("simSource")?.value || "SUMMARY";
+  if (source === "SUMMARY" && (!summaryRows || !summaryRows.length)) {
+    status.textContent = "Generate the Monthly Sales Summary first, or pick a ledger period.";
+    return;
+  }
+
+  status.textContent = "Simulating...";
+  const { banking, ledger, feeSchedule } = await loadSimulatorData();
+  const supplierMap = new Map();
+  banking.forEach((r) => supplierMap.set(normName(r["COMPANY NAME"]), r));
+
+  const current = Number($("threshold")?.value ?? 400);
+  const thresholds = parseThresholdList($("simThresholds")?.value);
+  if (!thresholds.includes(current)) thresholds.push(current);
+  thresholds.sort((a, b) => a - b);
+
+  const payouts = simulatorPayouts(source, ledger);
+  if (!payouts.length) {
+    status.textContent = "No payouts found for that selection.";
+    tbody.innerHTML = "";
+    return;
+  }
+
+  const results = thresholds.map((t) => simulateThreshold(payouts, supplierMap, t, feeSchedule));
+  const base = results.find((r) => r.threshold === current);
+  // Cheapest among runs that do not add exceptions; a lower fee is no use if suppliers go unpaid
+  const candidates = results.filter((r) => r.missingDetails <= base.missingDetails);
+  const cheapest = candidates.reduce((a, b) => (b.fees < a.fees ? b : a), candidates[0]);
+
+  tbody.innerHTML = "";
+  for (const r of results) {
+    const newExc = r.missingDetails - base.missingDetails;
+    const tags = [];
+    if (r === base) tags.push(`<span class="badge">Current</span>`);
+    if (r === cheapest) tags.push(`<span class="badge green">Cheapest</span>`);
+
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${money(r.threshold)} ${tags.join(" ")}</td>
+      <td>${r.bank}</td>
+      <td>${r.momo}</td>
+      <td>${money(r.bankTotal)}</td>
+      <td>${money(r.momoTotal)}</td>
+      <td>${r.missingDetails}${newExc ? ` (${newExc > 0 ? "+" : ""}${newExc})` : ""}</td>
+      <td>${money(r.fees)}</td>
+    `;
+    if (newExc > 0) tr.classList.add("row-missing");
+    tbody.appendChild(tr);
+  }
+
+  const periods = new Set(payouts.map((p) => p.key)).size;
+  status.textContent =
+    `${payouts.length} payout(s) across ${periods} period(s). ` +
+    `${base.notFound} not found in banking-details.csv at any threshold. ` +
+    `Cheapest without extra exceptions: ${money(cheapest.threshold)} ` +
+    `(fees ${money(cheapest.fees)} vs ${money(base.fees)} now).` +
+    (base.unpriced ? ` ${base.unpriced} transfer(s) have no matching rule in fee-schedule.csv.` : "");
+
+  const markers = [{ value: current, label: `Current ${current}`, color: "#e30613" }];
+  if (cheapest.threshold !== current) {
+    markers.push({ value: cheapest.threshold, label: `Cheapest ${cheapest.threshold}`, color: "#1f9d3a" });
+  }
+  renderSimulatorHistogram(payouts, markers);
+}
+
+// --- Batch generation for one period of the summary
+// items: [{ row, rowNumber }] — rowNumber is the summary row (for invalid-rows files)
+function groupSalesByPeriod(sales) {
+  const groups = new Map();
+  sales.forEach((row, i) => {
+    const key = periodKeyOf(row);
+    const k = Number.isFinite(key) ? key : "UNKNOWN";
+    if (!groups.has(k)) groups.set(k, { key, items: [] });
+    groups.get(k).items.push({ row, rowNumber: i + 2 }); // +2 (header + 1-based)
+  });
+  // Chronological, rows without a usable period last
+  return [...groups.values()].sort((a, b) =>
+    (Number.isFinite(a.key) ? a.key : Infinity) - (Number.isFinite(b.key) ? b.key : Infinity)
+  );
+}
+
+// ctx: { key (the batch's period), supplierMap, threshold, feeSchedule, history (ledger rows booked before this period),
+//        issued, batchId, alreadyBooked (optional Set of supplier names to skip because the ledger already has them),
+//        arrears (optional outstanding-payables rows to pay in this batch) }
+function buildPeriodBatch(items, ctx) {
+  const { supplierMap, threshold, feeSchedule, issued, batchId, alreadyBooked } = ctx;
+
+  const bankBatch = [];
+  const momoBatch = [];
+  const exceptions = [];
+  const invalidRows = []; // rows skipped due to missing/invalid required fields
+  const ledgerNew = [];
+  const remittances = []; // one advice per BANK/MOMO payment
+  const skipped = []; // already in the ledger for this period (append-missing-only runs)
+
+  // Batch row + ledger row + remittance advice, or an exception when the payment details are incomplete
+  const pay = (supplier, mode, amount, { month, year, period, reference }) => {
+    if (mode === "BANK") {
+      const account = clean(supplier["ACCOUNT"]);
+      const branch = clean(supplier["BRANCH"]);
+
+      const missing = missingPaymentDetails(supplier, "BANK");
+      if (missing.length) {
+        exceptions.push({
+          "COMPANY NAME": supplier["COMPANY NAME"],
+          "AMOUNT": money(amount),
+          "MODE": "BANK",
+          "MONTH": month,
+          "YEAR": String(year),
+          "ISSUE": missing.join(", ")
+        });
+      } else {
+        const fee = transferFee(feeSchedule, "BANK", supplier["BANK"], amount);
+
+        bankBatch.push({
+          "NAME": supplier["COMPANY NAME"],
+          "ACCOUNT": account,
+          "BRANCH": branch,
+          "AMOUNT": money(amount),
+          "COMMENT": reference,
+          "FEE": money(fee),
+          "BANK": clean(supplier["BANK"])
+        });
+
+        ledgerNew.push({
+          "MONTH": month,
+          "YEAR": String(year),
+          "PERIOD": period,
+          "COMPANY NAME": supplier["COMPANY NAME"],
+          "AMOUNT": money(amount),
+          "MODE": "BANK",
+          "REFERENCE": reference,
+          "FEE": money(fee),
+          "STATUS": "PENDING",
+          "STATUS DATE": issued,
+          "BATCH ID": batchId
+        });
+
+        remittances.push({
+          company: supplier["COMPANY NAME"],
+          period,
+          amount: money(amount),
+          mode: "BANK",
+          institution: clean(supplier["BANK"]),
+          maskedAccount: maskAccount(account),
+          names: "",
+          reference,
+          issued,
+          key: periodKeyOf({ MONTH: month, YEAR: year })
+        });
+      }
+    } else {
+      const momoNames = clean(supplier["MOMO NAMES"]);
+
+      const missing = missingPaymentDetails(supplier, "MOMO");
+      if (missing.length) {
+        exceptions.push({
+          "COMPANY NAME": supplier["COMPANY NAME"],
+          "AMOUNT": money(amount),
+          "MODE": "MOMO",
+          "MONTH": month,
+          "YEAR": String(year),
+          "ISSUE": missing.join(", ")
+        });
+      } else {
+        const { provider: momoProvider, resolvedFrom, primary: momoNumber, alternates, warnings } =
+          resolveMomoNumber(supplier["MOMO NUMBER"], supplier["MOMO"]);
+        const fee = transferFee(feeSchedule, "MOMO", momoProvider, amount);
+
+        momoBatch.push({
+          "NAME": supplier["COMPANY NAME"],
+          "MOMO PROVIDER": momoProvider,
+          "MOMO NUMBER": momoNumber,
+          "ALTERNATE NUMBERS": alternates.join(" / "),
+          "MOMO NAMES": momoNames,
+          "AMOUNT": money(amount),
+          "COMMENT": reference,
+          "FEE": money(fee),
+          "PROVIDER RESOLVED FROM NUMBER": resolvedFrom ? `${resolvedFrom} -> ${momoProvider}` : "",
+          "NUMBER WARNINGS": warnings.join("; ")
+        });
+
+        ledgerNew.push({
+          "MONTH": month,
+          "YEAR": String(year),
+          "PERIOD": period,
+          "COMPANY NAME": supplier["COMPANY NAME"],
+          "AMOUNT": money(amount),
+          "MODE": "MOMO",
+          "REFERENCE": reference,
+          "FEE": money(fee),
+          "STATUS": "PENDING",
+          "STATUS DATE": issued,
+          "BATCH ID": batchId
+        });
+
+        remittances.push({
+          company: supplier["COMPANY NAME"],
+          period,
+          amount: money(amount),
+          mode: "MOMO",
+          institution: momoProvider,
+          maskedAccount: maskAccount(momoNumber),
+          names: momoNames,
+          reference,
+          issued,
+          key: periodKeyOf({ MONTH: month, YEAR: year })
+        });
+      }
+    }
+  };
+
+  // Process sales rows with full classification (no silent skipping)
+  for (const { row: r, rowNumber } of items) {
+    const rawName = r["COMPANY NAME"];
+    const nameKey = normName(rawName);
+
+    const amount = parseAmount(r["SUM of COST"]);
+    const comment = clean(r["COMMENT"]);
+    const month = clean(r["MONTH"]);
+    const year = Number(clean(r["YEAR"]));
+
+    // Validate fields and log invalid rows instead of silently skipping
+    const reasons = [];
+    if (!nameKey) reasons.push("Missing COMPANY NAME");
+    if (!Number.isFinite(amount)) reasons.push("Invalid SUM of COST (not a number)");
+    if (!month) reasons.push("Missing MONTH");
+    if (!Number.isFinite(year)) reasons.push("Invalid YEAR");
+
+    if (reasons.length) {
+      invalidRows.push({
+        "ROW_NUMBER": rowNumber,
+        "COMPANY NAME": clean(rawName),
+        "SUM of COST": clean(r["SUM of COST"]),
+        "COMMENT": comment,
+        "MONTH": month,
+        "YEAR": clean(r["YEAR"]),
+        "ISSUE": reasons.join("; ")
+      });
+      continue;
+    }
+
+    if (alreadyBooked?.has(nameKey)) {
+      skipped.push({
+        "ROW_NUMBER": rowNumber,
+        "COMPANY NAME": clean(rawName),
+        "AMOUNT": money(amount),
+        "MONTH": month,
+        "YEAR": String(year),
+        "ISSUE": "Already in transactions.csv for this period (not paid again)"
+      });
+      continue;
+    }
+
+    const supplier = supplierMap.get(nameKey);
+    const mode = amount >= threshold ? "BANK" : "MOMO";
+    const period = `${month} ${year}`;
+    const reference = comment || `MiLCo ${period} Sales`;
+
+    if (!supplier) {
+      exceptions.push({
+        "COMPANY NAME": clean(rawName),
+        "AMOUNT": money(amount),
+        "MODE": mode,
+        "MONTH": month,
+        "YEAR": String(year),
+        "ISSUE": "Supplier not found in banking-details.csv"
+      });
+      continue;
+    }
+
+    pay(supplier, mode, amount, { month, year, period, reference });
+  }
+
+  // Determine period suffix from processed rows (one month/year per run)
+  let periodMonth = "";
+  let periodYear = "";
+  if (ledgerNew.length > 0) {
+    periodMonth = ledgerNew[0].MONTH;
+    periodYear = ledgerNew[0].YEAR;
+  } else if (exceptions.length > 0) {
+    // fall back if everything landed in exceptions (rare, but possible)
+    periodMonth = exceptions[0].MONTH;
+    periodYear = exceptions[0].YEAR;
+  } else if (invalidRows.length > 0) {
+    // fall back if everything invalid
+    periodMonth = invalidRows[0].MONTH;
+    periodYear = invalidRows[0].YEAR;
+  } else if (skipped.length > 0) {
+    periodMonth = skipped[0].MONTH;
+    periodYear = skipped[0].YEAR;
+  }
+
+  const periodSuffix =
+    periodMonth && periodYear ? `-${monthShort(periodMonth)}-${periodYear}` : "";
+
+  // Arrears: booked under the period they were owed for, with their own reference
+  const arrearsPaid = [];
+  for (const a of (ctx.arrears || [])) {
+    const reference = arrearsReference(a);
+    const before = exceptions.length;
+    pay(supplierMap.get(normName(a["COMPANY NAME"])), a["MODE"], parseAmount(a["AMOUNT"]), {
+      month: a["MONTH"],
+      year: Number(a["YEAR"]),
+      period: a["PERIOD"],
+      reference
+    });
+    if (exceptions.length === before) arrearsPaid.push({ ...a, reference });
+  }
+
+  // Advice numbers: RA-<yyyymm of this batch>-<seq>, in company order so reruns give the same numbers.
+  // Arrears advices are numbered with the batch that pays them, not their own (already numbered) period.
+  remittances.sort((a, b) => a.company.localeCompare(b.company));
+  const yyyymm = Number.isFinite(ctx.key)
+    ? `${Math.floor(ctx.key / 12)}${String((ctx.key % 12) + 1).padStart(2, "0")}`
+    : "000000";
+  remittances.forEach((r, i) => {
+    r.adviceNo = `RA-${yyyymm}-${String(i + 1).padStart(3, "0")}`;
+  });
+
+  // Flag unusual amounts before anyone downloads the batches (exceptions are still owed, so check them too)
+  const anomalies = findPayoutAnomalies([...ledgerNew, ...exceptions], ctx.history, anomalyOptions());
+
+  const sumOf = (rows, field) => rows.reduce((acc, r) => acc + (parseAmount(r[field]) || 0), 0);
+  const metrics = {
+    nonEmpty: items.length,
+    bankCount: bankBatch.length,
+    momoCount: momoBatch.length,
+    excCount: exceptions.length,
+    invalidCount: invalidRows.length,
+    skippedCount: skipped.length,
+    bankTotal: sumOf(bankBatch, "AMOUNT"),
+    momoTotal: sumOf(momoBatch, "AMOUNT"),
+    excTotal: sumOf(exceptions, "AMOUNT"),
+    bankFees: sumOf(bankBatch, "FEE"),
+    momoFees: sumOf(momoBatch, "FEE"),
+    arrearsCount: (ctx.arrears || []).length,
+    arrearsTotal: sumOf(arrearsPaid, "AMOUNT")
+  };
+
+  return {
+    label: periodMonth && periodYear ? `${periodMonth} ${periodYear}` : "Unknown period",
+    periodSuffix,
+    batchId,
+    bankBatch,
+    momoBatch,
+    exceptions,
+    invalidRows,
+    skipped,
+    ledgerNew,
+    remittances,
+    anomalies,
+    arrearsPaid,
+    metrics,
+    verificationOk: metrics.nonEmpty + metrics.arrearsCount ===
+      metrics.bankCount + metrics.momoCount + metrics.excCount + metrics.invalidCount + metrics.skippedCount
+  };
+}
+
+function renderPeriodVerifyTable(runs) {
+  const box = $("periodVerifyBox");
+  const tbody = document.querySelector("#periodVerifyTable tbody");
+  if (!box || !tbody) return;
+
+  box.style.display = runs.length > 1 ? "block" : "none";
+  tbody.innerHTML = "";
+  if (runs.length < 2) return;
+
+  const total = {};
+  const addRow = (label, m, ok, cls) => {
+    const tr = document.createElement("tr");
+    if (cls) tr.classList.add(cls);
+    tr.innerHTML = `
+      <td>${label}</td>
+      <td>${m.nonEmpty}</td>
+      <td>${m.bankCount}</td>
+      <td>${m.momoCount}</td>
+      <td>${m.excCount}</td>
+      <td>${m.invalidCount}</td>
+      <td>${m.skippedCount}</td>
+      <td>${money(m.bankTotal)}</td>
+      <td>${money(m.momoTotal)}</td>
+      <td>${money(m.excTotal)}</td>
+      <td>${money(m.bankTotal + m.momoTotal + m.excTotal)}</td>
+      <td>${money(m.bankFees + m.momoFees)}</td>
+      <td>${ok ? "YES" : "NO"}</td>
+    `;
+    tbody.appendChild(tr);
+  };
+
+  for (const r of runs) {
+    for (const [k, v] of Object.entries(r.metrics)) total[k] = (total[k] || 0) + v;
+    addRow(r.label, r.metrics, r.verificationOk, r.verificationOk ? "" : "row-missing");
+  }
+  addRow("Combined", total, runs.every((r) => r.verificationOk), "total");
+}
+
+// --- Duplicate period guard: which upload periods are already booked in the ledger
+// Returns [{ key, label, bookedRows, bookedTotal, booked (Set of supplier names), overlap (upload suppliers already booked) }]
+function findBookedPeriods(groups, ledgerRows) {
+  const out = [];
+  for (const g of groups) {
+    if (!Number.isFinite(g.key)) continue;
+    const rows = ledgerRows.filter((r) => periodKeyOf(r) === g.key);
+    if (!rows.length) continue;
+    const booked = new Set(rows.map((r) => normName(r["COMPANY NAME"])));
+    const overlap = g.items.filter((it) => booked.has(normName(it.row["COMPANY NAME"]))).length;
+    out.push({
+      key: g.key,
+      label: `${MONTHS[g.key % 12]} ${Math.floor(g.key / 12)}`,
+      bookedRows: rows.length,
+      bookedTotal: rows.reduce((a, r) => a + (parseAmount(r["AMOUNT"]) || 0), 0),
+      booked,
+      uploadCount: g.items.length,
+      overlap
+    });
+  }
+  return out;
+}
+
+function showDuplicatePrompt(booked) {
+  const box = $("duplicateBox");
+  if (!box) return;
+  const tbody = document.querySelector("#duplicateTable tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    for (const b of booked) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${b.label}</td>
+        <td>${b.bookedRows}</td>
+        <td>${money(b.bookedTotal)}</td>
+        <td>${b.overlap} of ${b.uploadCount}</td>
+        <td>${b.uploadCount - b.overlap}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+  box.style.display = "block";
+}
+
+function hideDuplicatePrompt() {
+  const box = $("duplicateBox");
+  if (box) box.style.display = "none";
+}
+
+// --- Outstanding payables: exceptions are not booked in the ledger, so the register keeps track of them
+function outstandingKey(r) {
+  return `${normName(r["COMPANY NAME"])}|${periodKeyOf(r)}`;
+}
+
+function normalizeOutstandingRows(rows) {
+  const out = [];
+  for (const r of (rows || [])) {
+    const company = clean(r["COMPANY NAME"]);
+    const amount = parseAmount(r["AMOUNT"]);
+    if (!company || !Number.isFinite(amount)) continue;
+    const month = clean(r["MONTH"]);
+    const year = clean(r["YEAR"]);
+    out.push({
+      "COMPANY NAME": company,
+      "AMOUNT": money(amount),
+      "MODE": clean(r["MODE"]).toUpperCase(),
+      "MONTH": month,
+      "YEAR": year,
+      "PERIOD": clean(r["PERIOD"]) || `${month} ${year}`.trim(),
+      "ISSUE": clean(r["ISSUE"]),
+      "STATUS": normName(r["STATUS"]) === "SETTLED" ? "SETTLED" : "OUTSTANDING",
+      "RAISED DATE": clean(r["RAISED DATE"]),
+      "SETTLED DATE": clean(r["SETTLED DATE"]),
+      "SETTLED BATCH ID": clean(r["SETTLED BATCH ID"]),
+      "SETTLED REFERENCE": clean(r["SETTLED REFERENCE"])
+    });
+  }
+  return out;
+}
+
+function arrearsReference(r) {
+  return `MiLCo Arrears ${r["PERIOD"]}`;
+}
+
+// Outstanding rows whose supplier now has complete details for the mode they were owed in.
+// Periods in the current upload are left out: those suppliers are paid (or listed again) by the run itself.
+function eligibleArrears(register, supplierMap, uploadKeys) {
+  return register.filter((r) => {
+    if (r["STATUS"] !== "OUTSTANDING" || uploadKeys.has(periodKeyOf(r))) return false;
+    const supplier = supplierMap.get(normName(r["COMPANY NAME"]));
+    return !!supplier && missingPaymentDetails(supplier, r["MODE"]).length === 0;
+  });
+}
+
+// Settles every outstanding row now booked in the ledger (arrears, or a fixed supplier in a re-run period)
+// and records this run's exceptions (an exception for the same supplier and period replaces the old one).
+function updateOutstandingRegister(register, ledgerNew, exceptions, issued) {
+  const booked = new Map(ledgerNew.map((r) => [outstandingKey(r), r]));
+  const out = register.map((r) => {
+    const paid = r["STATUS"] === "OUTSTANDING" && booked.get(outstandingKey(r));
+    if (!paid) return r;
+    return {
+      ...r,
+      "STATUS": "SETTLED",
+      "SETTLED DATE": issued,
+      "SETTLED BATCH ID": paid["BATCH ID"],
+      "SETTLED REFERENCE": paid["REFERENCE"]
+    };
+  });
+
+  for (const e of exceptions) {
+    const row = {
+      "COMPANY NAME": e["COMPANY NAME"],
+      "AMOUNT": e["AMOUNT"],
+      "MODE": e["MODE"],
+      "MONTH": e["MONTH"],
+      "YEAR": e["YEAR"],
+      "PERIOD": `${e["MONTH"]} ${e["YEAR"]}`,
+      "ISSUE": e["ISSUE"],
+      "STATUS": "OUTSTANDING",
+      "RAISED DATE": issued,
+      "SETTLED DATE": "",
+      "SETTLED BATCH ID": "",
+      "SETTLED REFERENCE": ""
+    };
+    const idx = out.findIndex((r) => r["STATUS"] === "OUTSTANDING" && outstandingKey(r) === outstandingKey(row));
+    if (idx === -1) out.push(row);
+    else out[idx] = { ...row, "RAISED DATE": out[idx]["RAISED DATE"] || issued };
+  }
+  return out;
+}
+
+function showArrearsPrompt(eligible) {
+  const box = $("arrearsBox");
+  if (!box) return;
+  const tbody = document.querySelector("#arrearsTable tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    for (const r of eligible) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><input type="checkbox" data-arrear="${escapeHtml(outstandingKey(r))}" checked style="width:auto;" /></td>
+        <td>${escapeHtml(r["COMPANY NAME"])}</td>
+        <td>${escapeHtml(r["PERIOD"])}</td>
+        <td>${escapeHtml(r["MODE"])}</td>
+        <td>${money(parseAmount(r["AMOUNT"]))}</td>
+        <td>${escapeHtml(r["ISSUE"])}</td>
+        <td>${escapeHtml(arrearsReference(r))}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+  box.style.display = "block";
+}
+
+function hideArrearsPrompt() {
+  const box = $("arrearsBox");
+  if (box) box.style.display = "none";
+}
+
+// A new upload starts over: choices made at either prompt belonged to the previous summary
+function resetRunPrompts() {
+  duplicatePolicy = null;
+  arrearsSelection = null;
+  arrearsPolicy = null;
+  hideDuplicatePrompt();
+  hideArrearsPrompt();
+}
+
+function setVerifyVisible(visible) {
+  const box = $("verifyBox");
+  if (!box) return;
+  box.style.display = visible ? "block" : "none";
+}
+
+function setRawVerifyVisible(visible) {
+  const box = $("rawVerifyBox");
+  if (!box) return;
+  box.style.display = visible ? "block" : "none";
+}
+
+function setBadge(id, text) {
+  const el = $(id);
+  if (el) el.textContent = text;
+}
+
+function renderVerifyTable(metrics) {
+  const tbody = document.querySelector("#verifyTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  for (const [k, v] of metrics) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td>${k}</td><td>${v}</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+// Sheet picker: one checkbox per sheet, ticked when its title names a period
+function renderSheetPicker(sheets) {
+  const box = $("sheetPicker");
+  if (!box) return;
+  if (!sheets || sheets.length < 2) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+
+  box.innerHTML = `<div class="muted small"><b>Sheets to process</b> (one summary per period):</div>` +
+    sheets.map((sh, i) => {
+      const { title, period } = sheetTitleInfo(sh.rows);
+      const label = period ? period.period : (title ? `no month/year in "${title}"` : "no title in A1");
+      return `
+        <label class="small" style="display:block; margin-top:6px;">
+          <input type="checkbox" data-sheet="${i}" style="width:auto;" ${period ? "checked" : ""} />
+          ${escapeHtml(sh.name)} <span class="muted">— ${escapeHtml(label)}</span>
+        </label>`;
+    }).join("");
+  box.style.display = "block";
+}
+
+function selectedSheets() {
+  if (!rawSheets) return [];
+  const boxes = [...document.querySelectorAll("#sheetPicker input[data-sheet]")];
+  if (!boxes.length) return rawSheets.slice(0, 1);
+  return boxes.filter((b) => b.checked).map((b) => rawSheets[Number(b.dataset.sheet)]);
+}
+
+function renderRawVerifyTable(results) {
+  const tbody = document.querySelector("#rawVerifyTable tbody");
+  const wrap = $("rawVerifyTableWrap");
+  if (!tbody || !wrap) return;
+  wrap.style.display = results.length > 1 ? "block" : "none";
+  tbody.innerHTML = "";
+  for (const r of results) {
+    const m = r.parsed.metrics;
+    const ok = Math.abs(m.rawTotal - m.summaryTotal) < 0.01;
+    const tr = document.createElement("tr");
+    if (!ok) tr.classList.add("row-missing");
+    tr.innerHTML = `
+      <td>${escapeHtml(r.sheet)}</td>
+      <td>${r.parsed.month} ${r.parsed.year}</td>
+      <td>${m.nonEmpty}</td>
+      <td>${m.invalidCount}</td>
+      <td>${m.suppliers}</td>
+      <td>${money(m.rawTotal)}</td>
+      <td>${money(m.summaryTotal)}</td>
+      <td>${ok ? "YES" : "NO"}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+$("rawFile")?.addEventListener("change", async () => {
+  resetRunPrompts();
+  rawSheets = null;
+  renderSheetPicker(null);
+  const file = $("rawFile").files?.[0];
+  if (!file) return;
+  try {
+    rawSheets = await readXlsxWorkbook(file);
+    renderSheetPicker(rawSheets);
+  } catch (err) {
+    $("summaryStatus").textContent = `Failed to read XLSX: ${err.message || err}`;
+  }
+});
+
+$("generateSummaryBtn")?.addEventListener("click", async () => {
+  $("summaryStatus").textContent = "Reading raw XLSX...";
+  $("summaryDownloads").innerHTML = "";
+  setRawVerifyVisible(false);
+  resetRunPrompts();
+  summaryRows = null;
+  summaryMeta = null;
+
+  const file = $("rawFile").files?.[0];
+  if (!file) {
+    $("summaryStatus").textContent = "Please choose a raw sales XLSX file first.";
+    return;
+  }
+
+  try {
+    if (!rawSheets) {
+      rawSheets = await readXlsxWorkbook(file);
+      renderSheetPicker(rawSheets);
+    }
+
+    const sheets = selectedSheets();
+    if (!sheets.length) {
+      $("summaryStatus").textContent = "Tick at least one sheet to process.";
+      return;
+    }
+
+    // One summary per period; a second sheet for a period already taken is skipped, not added twice
+    const results = [];
+    const problems = [];
+    const seen = new Map(); // period -> sheet name
+    for (const sh of sheets) {
+      const parsed = parseRawSalesReport(sh.rows);
+      if (parsed.error) {
+        problems.push(`${sh.name}: ${parsed.error}`);
+        continue;
+      }
+      const periodName = `${parsed.month} ${parsed.year}`;
+      if (seen.has(periodName)) {
+        problems.push(`${sh.name}: ${periodName} is already in sheet "${seen.get(periodName)}" (skipped)`);
+        continue;
+      }
+      if (!parsed.summaryRows.length) {
+        problems.push(`${sh.name}: No valid data rows found after the header.`);
+        continue;
+      }
+      seen.set(periodName, sh.name);
+      results.push({ sheet: sh.name, parsed });
+    }
+
+    if (!results.length) {
+      $("summaryStatus").textContent = problems.join(" ");
+      return;
+    }
+
+    results.sort((a, b) =>
+      (a.parsed.year * 12 + monthIndex(a.parsed.month)) - (b.parsed.year * 12 + monthIndex(b.parsed.month))
+    );
+
+    summaryRows = results.flatMap((r) => r.parsed.summaryRows);
+    summaryMeta = {
+      title: results[0].parsed.title,
+      month: results[0].parsed.month,
+      year: results[0].parsed.year,
+      periods: results.map((r) => ({
+        sheet: r.sheet,
+        title: r.parsed.title,
+        month: r.parsed.month,
+        year: r.parsed.year
+      }))
+    };
+
+    if ($("simSource")) $("simSource").value = "SUMMARY";
+
+    const dlWrap = $("summaryDownloads");
+    for (const { parsed } of results) {
+      const month = parsed.month;
+      const year = parsed.year;
+      const sheetName = `MILCO SUMMARY ${month} ${year}`;
+      const filename = `milco-sales-summary-${monthShort(month)}-${year}.xlsx`;
+
+      const line = document.createElement("div");
+      line.style.marginTop = "8px";
+
+      const btn = document.createElement("button");
+      btn.textContent = `Download ${filename}`;
+      btn.classList.add("btn-success");
+      btn.addEventListener("click", () => downloadXlsx(filename, parsed.summaryRows, sheetName));
+      line.appendChild(btn);
+
+      if (parsed.invalidRows.length) {
+        const invalidName = `invalid-raw-rows-${monthShort(month)}-${year}.csv`;
+        const invalidBtn = document.createElement("button");
+        invalidBtn.style.marginLeft = "8px";
+        invalidBtn.textContent = `Download ${invalidName}`;
+        invalidBtn.classList.add("btn-danger");
+        invalidBtn.addEventListener("click", () => {
+          const csv = toCsv(parsed.invalidRows, ["ROW_NUMBER", "COMPANY NAME", "COST", "ISSUE"]);
+          downloadText(invalidName, csv);
+        });
+        line.appendChild(invalidBtn);
+      }
+
+      dlWrap.appendChild(line);
+    }
+
+    const missingExpected = [...new Set(results.flatMap((r) => r.parsed.missingExpected))];
+    const ready = results.length > 1
+      ? `Summaries ready for ${results.length} periods (${results.map((r) => `${r.parsed.month} ${r.parsed.year}`).join(", ")}).`
+      : "Summary ready.";
+    $("summaryStatus").textContent = [
+      missingExpected.length
+        ? `${ready} Warning: missing expected column(s): ${missingExpected.join(", ")}.`
+        : `${ready} You can now generate batch files.`,
+      problems.length ? `Skipped — ${problems.join(" ")}` : ""
+    ].filter(Boolean).join(" ");
+
+    // Badges show the combined figures; the table below splits them per sheet
+    const m = results.reduce((acc, r) => {
+      for (const [k, v] of Object.entries(r.parsed.metrics)) acc[k] = (acc[k] || 0) + v;
+      return acc;
+    }, {});
+    setRawVerifyVisible(true);
+    setBadge("rParsed", `Parsed: ${m.parsedRowCount}`);
+    setBadge("rNonEmpty", `Non-empty: ${m.nonEmpty}`);
+    setBadge("rInvalid", `Invalid: ${m.invalidCount}`);
+    setBadge("rSuppliers", `Suppliers: ${m.suppliers}`);
+    setBadge("rRawTotal", `Raw total: ${money(m.rawTotal)}`);
+    setBadge("rSumTotal", `Summary total: ${money(m.summaryTotal)}`);
+    renderRawVerifyTable(results);
+
+    const verifyOk = results.every((r) => Math.abs(r.parsed.metrics.rawTotal - r.parsed.metrics.summaryTotal) < 0.01);
+    const note = $("rawVerifyNote");
+    if (note) {
+      note.innerHTML = verifyOk
+        ? "Verification passed. Raw total COST equals Summary total COST."
+        : "<b>Verification failed.</b> Raw total does not match Summary total.";
+    }
+  } catch (err) {
+    $("summaryStatus").textContent = `Failed to read XLSX: ${err.message || err}`;
+  }
+});
+
+$("updateBankingBtn")?.addEventListener("click", async () => {
+  $("bankingStatus").textContent = "Loading banking details...";
+  $("bankingDownloads").innerHTML = "";
+
+  const [bankingRows] = await Promise.all([parseCsvUrl(BANKING_DETAILS_URL).catch(() => [])]);
+  const banking = normalizeBankingRows(bankingRows);
+  const bankMap = new Map();
+  banking.forEach((r) => bankMap.set(normName(r["COMPANY NAME"]), r));
+
+  const salesFile = $("bankUpdateSalesFile").files?.[0];
+  const momoFile = $("bankUpdateMomoFile").files?.[0];
+
+  if (!salesFile && !momoFile) {
+    $("bankingStatus").textContent = "Please upload at least one XLSX file.";
+    return;
+  }
+
+  let salesMap = new Map();
+  let momoMap = new Map();
+
+  if (salesFile) {
+    try {
+      const { rows } = await readXlsxFile(salesFile);
+      const parsed = parseRawBankingDetails(rows);
+      if (parsed.error) {
+        $("bankingStatus").textContent = parsed.error;
+        return;
+      }
+      salesMap = parsed.map;
+    } catch (err) {
+      $("bankingStatus").textContent = `Failed to read raw sales XLSX: ${err.message || err}`;
+      return;
+    }
+  }
+
+  if (momoFile) {
+    try {
+      const { rows } = await readXlsxFile(momoFile);
+      const parsed = parseMomoUpdateSheet(rows);
+      momoMap = parsed.map;
+    } catch (err) {
+      $("bankingStatus").textContent = `Failed to read MoMo update XLSX: ${err.message || err}`;
+      return;
+    }
+  }
+
+  let updatedCount = 0;
+  let addedCount = 0;
+
+  const allKeys = new Set([
+    ...Array.from(bankMap.keys()),
+    ...Array.from(salesMap.keys()),
+    ...Array.from(momoMap.keys())
+  ]);
+
+  for (const key of allKeys) {
+    const existing = bankMap.get(key);
+    const sales = salesMap.get(key) || {};
+    const momo = momoMap.get(key) || {};
+
+    if (existing) {
+      const changedBank = updateMissing(existing, sales, ["BANK", "ACCOUNT", "BRANCH"]);
+      const changedMomo = updateMissing(existing, momo, ["MOMO", "MOMO NUMBER", "MOMO NAMES"]);
+      if (changedBank || changedMomo) updatedCount++;
+    } else {
+      const name = sales["COMPANY NAME"] || momo["COMPANY NAME"];
+      if (!name) continue;
+      bankMap.set(key, {
+        "COMPANY NAME": name,
+        "BANK": clean(sales["BANK"] || ""),
+        "ACCOUNT": clean(sales["ACCOUNT"] || ""),
+        "BRANCH": "",
+        "MOMO": clean(momo["MOMO"] || ""),
+        "MOMO NUMBER": clean(momo["MOMO NUMBER"] || ""),
+        "MOMO NAMES": clean(momo["MOMO NAMES"] || "")
+      });
+      addedCount++;
+    }
+  }
+
+  const updatedRows = Array.from(bankMap.values()).sort((a, b) => {
+    return clean(a["COMPANY NAME"]).localeCompare(clean(b["COMPANY NAME"]));
+  });
+
+  renderBankingTable(updatedRows);
+
+  const csv = toCsv(updatedRows, [
+    "COMPANY NAME",
+    "BANK",
+    "ACCOUNT",
+    "BRANCH",
+    "MOMO",
+    "MOMO NUMBER",
+    "MOMO NAMES"
+  ]);
+
+  const btn = document.createElement("button");
+  btn.textContent = "Download updated banking-details.csv";
+  btn.classList.add("btn-success");
+  btn.addEventListener("click", () => downloadText("banking-details.csv", csv));
+  $("bankingDownloads").appendChild(btn);
+
+  $("bankingStatus").textContent =
+    `Done. Updated: ${updatedCount}, Added: ${addedCount}. Download the updated file.`;
+});
+
+$("processBtn")?.addEventListener("click", async () => {
+  $("status").textContent = "Loading banking details + ledger...";
+  $("downloads").innerHTML = "";
+  $("exceptions").textContent = "";
+  setVerifyVisible(false);
+
+  if (!summaryRows || !summaryRows.length) {
+    $("status").textContent = "Please generate the Monthly Sales Summary (XLSX) first.";
+    return;
+  }
+
+  const threshold = Number($("threshold").value ?? 400);
+
+  const [banking, ledgerExistingRaw, feeSchedule, outstandingRaw, uploadProfiles] = await Promise.all([
     parseCsvUrl(BANKING_DETAILS_URL),
-    parseCsvUrl(LEDGER_URL).catch(() => [])
+    parseCsvUrl(LEDGER_URL).catch(() => []),
+    loadFeeSchedule(),
+    parseCsvUrl(OUTSTANDING_URL).catch(() => []),
+    loadUploadProfiles()
   ]);
 
   const ledgerExisting = normalizeLedgerRows(ledgerExistingRaw);
+  const registerExisting = normalizeOutstandingRows(outstandingRaw);
 
   // Sales parsing details (from generated summary)
   const salesRaw = summaryRows;
@@ -750,157 +2190,95 @@ $("processBtn")?.addEventListener("click", async () => {
   const supplierMap = new Map();
   banking.forEach((r) => supplierMap.set(normName(r["COMPANY NAME"]), r));
 
-  const bankBatch = [];
-  const momoBatch = [];
-  const exceptions = [];
-  const invalidRows = []; // rows skipped due to missing/invalid required fields
-  const ledgerNew = [];
-
-  // Process sales rows with full classification (no silent skipping)
-  for (let i = 0; i < sales.length; i++) {
-    const r = sales[i];
-
-    const rawName = r["COMPANY NAME"];
-    const nameKey = normName(rawName);
-
-    const amount = parseAmount(r["SUM of COST"]);
-    const comment = clean(r["COMMENT"]);
-    const month = clean(r["MONTH"]);
-    const year = Number(clean(r["YEAR"]));
-
-    // Validate fields and log invalid rows instead of silently skipping
-    const reasons = [];
-    if (!nameKey) reasons.push("Missing COMPANY NAME");
-    if (!Number.isFinite(amount)) reasons.push("Invalid SUM of COST (not a number)");
-    if (!month) reasons.push("Missing MONTH");
-    if (!Number.isFinite(year)) reasons.push("Invalid YEAR");
-
-    if (reasons.length) {
-      invalidRows.push({
-        "ROW_NUMBER": i + 2, // +2 (header + 1-based)
-        "COMPANY NAME": clean(rawName),
-        "SUM of COST": clean(r["SUM of COST"]),
-        "COMMENT": comment,
-        "MONTH": month,
-        "YEAR": clean(r["YEAR"]),
-        "ISSUE": reasons.join("; ")
-      });
-      continue;
-    }
-
-    const supplier = supplierMap.get(nameKey);
-    const mode = amount >= threshold ? "BANK" : "MOMO";
-    const period = `${month} ${year}`;
-    const reference = comment || `MiLCo ${period} Sales`;
-
-    if (!supplier) {
-      exceptions.push({
-        "COMPANY NAME": clean(rawName),
-        "AMOUNT": money(amount),
-        "MODE": mode,
-        "MONTH": month,
-        "YEAR": String(year),
-        "ISSUE": "Supplier not found in banking-details.csv"
-      });
-      continue;
-    }
-
-    if (mode === "BANK") {
-      const account = clean(supplier["ACCOUNT"]);
-      const branch = clean(supplier["BRANCH"]);
-
-      if (!account || !branch) {
-        const missing = [];
-        if (!account) missing.push("Missing Bank Account");
-        if (!branch) missing.push("Missing Branch Code");
-        exceptions.push({
-          "COMPANY NAME": supplier["COMPANY NAME"],
-          "AMOUNT": money(amount),
-          "MODE": "BANK",
-          "MONTH": month,
-          "YEAR": String(year),
-          "ISSUE": missing.join(", ")
-        });
-      } else {
-        bankBatch.push({
-          "NAME": supplier["COMPANY NAME"],
-          "ACCOUNT": account,
-          "BRANCH": branch,
-          "AMOUNT": money(amount),
-          "COMMENT": reference
-        });
-
-        ledgerNew.push({
-          "MONTH": month,
-          "YEAR": String(year),
-          "PERIOD": period,
-          "COMPANY NAME": supplier["COMPANY NAME"],
-          "AMOUNT": money(amount),
-          "MODE": "BANK",
-          "REFERENCE": reference
-        });
-      }
-    } else {
-      const momoProvider = clean(supplier["MOMO"]);
-      const momoNumber = clean(supplier["MOMO NUMBER"]);
-      const momoNames = clean(supplier["MOMO NAMES"]);
-
-      if (!momoProvider || !momoNumber || !momoNames) {
-        const missing = [];
-        if (!momoProvider) missing.push("Missing MOMO Provider");
-        if (!momoNumber) missing.push("Missing MOMO Number");
-        if (!momoNames) missing.push("Missing MOMO Names");
-        exceptions.push({
-          "COMPANY NAME": supplier["COMPANY NAME"],
-          "AMOUNT": money(amount),
-          "MODE": "MOMO",
-          "MONTH": month,
-          "YEAR": String(year),
-          "ISSUE": missing.join(", ")
-        });
-      } else {
-        momoBatch.push({
-          "NAME": supplier["COMPANY NAME"],
-          "MOMO PROVIDER": momoProvider,
-          "MOMO NUMBER": momoNumber,
-          "MOMO NAMES": momoNames,
-          "AMOUNT": money(amount),
-          "COMMENT": reference
-        });
-
-        ledgerNew.push({
-          "MONTH": month,
-          "YEAR": String(year),
-          "PERIOD": period,
-          "COMPANY NAME": supplier["COMPANY NAME"],
-          "AMOUNT": money(amount),
-          "MODE": "MOMO",
-          "REFERENCE": reference
-        });
-      }
-    }
+  // One run per period in the summary (a quarter workbook gives three); each run sees the
+  // months booked before it, so anomalies in March are judged against January and February
+  const groups = groupSalesByPeriod(sales);
+
+  // Running a month twice would book every payout twice: stop and ask unless the admin already chose
+  const booked = findBookedPeriods(groups, ledgerExisting);
+  const policy = booked.length ? duplicatePolicy : null;
+  duplicatePolicy = null; // one run only: a stale choice must never apply to another upload
+  if (booked.length && !policy) {
+    hideArrearsPrompt();
+    showDuplicatePrompt(booked);
+    $("status").textContent =
+      `${booked.map((b) => b.label).join(", ")} already in transactions.csv. ` +
+      `Choose below: abort, replace the period, or append only the missing suppliers.`;
+    return;
+  }
+  hideDuplicatePrompt();
+
+  const bookedKeys = new Set(booked.map((b) => b.key));
+  const ledgerKept = policy === "REPLACE"
+    ? ledgerExisting.filter((r) => !bookedKeys.has(periodKeyOf(r)))
+    : ledgerExisting;
+  // A replaced period is worked out again from scratch, including its exceptions
+  const registerKept = policy === "REPLACE"
+    ? registerExisting.filter((r) => !(r["STATUS"] === "OUTSTANDING" && bookedKeys.has(periodKeyOf(r))))
+    : registerExisting;
+
+  // Suppliers owed from earlier runs whose details are fixed now: ask before paying them in this batch
+  const eligible = eligibleArrears(registerKept, supplierMap, new Set(groups.map((g) => g.key)));
+  const chosen = eligible.length ? arrearsSelection : new Set();
+  arrearsSelection = null;
+  if (!chosen) {
+    arrearsPolicy = policy;
+    showArrearsPrompt(eligible);
+    $("status").textContent =
+      `${eligible.length} outstanding payable(s) can be paid now that the supplier details are complete. ` +
+      `Choose below which arrears to include in this batch.`;
+    return;
+  }
+  hideArrearsPrompt();
+  arrearsPolicy = null;
+  const arrears = eligible.filter((r) => chosen.has(outstandingKey(r)));
+
+  const now = new Date();
+  const issued = now.toISOString().slice(0, 10);
+  const runs = [];
+  let history = ledgerKept;
+  for (const g of groups) {
+    const alreadyBooked = policy === "APPEND_MISSING" ? booked.find((b) => b.key === g.key)?.booked : null;
+    const batchId = batchIdFor(g.key, now);
+    // Arrears go into the newest period's batch
+    const runArrears = g === groups[groups.length - 1] ? arrears : [];
+    const run = buildPeriodBatch(g.items, {
+      key: g.key, supplierMap, threshold, feeSchedule, history, issued, batchId, alreadyBooked, arrears: runArrears
+    });
+    runs.push(run);
+    history = [...history, ...run.ledgerNew];
   }
 
-  // Determine period suffix from processed rows (assumes single month/year per upload)
-  let periodMonth = "";
-  let periodYear = "";
-  if (ledgerNew.length > 0) {
-    periodMonth = ledgerNew[0].MONTH;
-    periodYear = ledgerNew[0].YEAR;
-  } else if (exceptions.length > 0) {
-    // fall back if everything landed in exceptions (rare, but possible)
-    periodMonth = exceptions[0].MONTH;
-    periodYear = exceptions[0].YEAR;
-  } else if (invalidRows.length > 0) {
-    // fall back if everything invalid
-    periodMonth = invalidRows[0].MONTH;
-    periodYear = invalidRows[0].YEAR;
+  let guardNote = "No overlap with transactions.csv";
+  if (policy === "REPLACE") {
+    guardNote = `Replaced ${booked.map((b) => b.label).join(", ")} ` +
+      `(${ledgerExisting.length - ledgerKept.length} existing ledger row(s) removed)`;
+  } else if (policy === "APPEND_MISSING") {
+    guardNote = `Appended missing suppliers only for ${booked.map((b) => b.label).join(", ")} ` +
+      `(${runs.reduce((a, r) => a + r.skipped.length, 0)} already booked row(s) skipped)`;
   }
 
-  const periodSuffix =
-    periodMonth && periodYear ? `-${monthShort(periodMonth)}-${periodYear}` : "";
+  const allOf = (field) => runs.flatMap((r) => r[field]);
+  const bankBatch = allOf("bankBatch");
+  const momoBatch = allOf("momoBatch");
+  const exceptions = allOf("exceptions");
+  const invalidRows = allOf("invalidRows");
+  const skipped = allOf("skipped");
+  const ledgerNew = allOf("ledgerNew");
+  const remittances = allOf("remittances");
+  const anomalies = allOf("anomalies");
+  const arrearsPaid = allOf("arrearsPaid");
+
+  const registerUpdated = updateOutstandingRegister(registerKept, ledgerNew, exceptions, issued);
+  const stillOutstanding = registerUpdated.filter((r) => r["STATUS"] === "OUTSTANDING");
+
+  // Ledger / remittance file names span every period in the upload, e.g. -jan-2026-to-mar-2026
+  const suffixes = runs.map((r) => r.periodSuffix).filter(Boolean);
+  const periodSuffix = suffixes.length > 1
+    ? `${suffixes[0]}-to${suffixes[suffixes.length - 1]}`
+    : (suffixes[0] || "");
 
-  const ledgerUpdated = [...ledgerExisting, ...ledgerNew];
+  const ledgerUpdated = [...ledgerKept, ...ledgerNew];
 
   // Sort ledger by YEAR then MONTH
   ledgerUpdated.sort((a, b) => {
@@ -915,33 +2293,114 @@ $("processBtn")?.addEventListener("click", async () => {
   // Prepare downloadable files (with period suffix)
   const files = [];
 
-  files.push({
-    name: `bank-payment-batch${periodSuffix}.csv`,
-    csv: toCsv(bankBatch, ["NAME", "ACCOUNT", "BRANCH", "AMOUNT", "COMMENT"])
-  });
+  const debitBank = $("debitBank")?.value || "GENERIC";
+  const momoUpload = $("momoUpload")?.value || "GENERIC";
+  const valueDate = $("valueDate")?.value ? new Date(`${$("valueDate").value}T00:00:00`) : now;
+  const uploads = [];
+  const momoUploads = [];
+  const momoFlagged = [];
+  const momoChecks = []; // paid, but the provider was resolved from the number or a number was ignored
 
-  files.push({
-    name: `momo-payment-batch${periodSuffix}.csv`,
-    csv: toCsv(momoBatch, ["NAME", "MOMO PROVIDER", "MOMO NUMBER", "MOMO NAMES", "AMOUNT", "COMMENT"])
-  });
+  for (const run of runs) {
+    // Nothing to pay (e.g. the rows with no MONTH/YEAR, which are all invalid): no empty batch files
+    if (!run.bankBatch.length && !run.momoBatch.length) continue;
+
+    files.push({
+      name: `bank-payment-batch${run.periodSuffix}.csv`,
+      csv: toCsv(run.bankBatch, ["NAME", "ACCOUNT", "BRANCH", "AMOUNT", "COMMENT"])
+    });
+
+    if (debitBank !== "GENERIC") {
+      const opts = { valueDate, periodSuffix: run.periodSuffix, profiles: uploadProfiles };
+      for (const u of bankUploadFiles(run.bankBatch, debitBank, opts)) {
+        uploads.push(u);
+        if (!u.blocked) files.push({ name: u.name, csv: u.content });
+      }
+    }
+
+    files.push({
+      name: `momo-payment-batch${run.periodSuffix}.csv`,
+      csv: toCsv(run.momoBatch, ["NAME", "MOMO PROVIDER", "MOMO NUMBER", "MOMO NAMES", "AMOUNT", "COMMENT"])
+    });
+
+    // Fees stay out of the payment files; they go to the ledger and this report once fee-schedule.csv has rules
+    const fees = [
+      ...run.bankBatch.map((r) => ({ ...r, "MODE": "BANK", "PROVIDER": r["BANK"] })),
+      ...run.momoBatch.map((r) => ({ ...r, "MODE": "MOMO", "PROVIDER": r["MOMO PROVIDER"] }))
+    ];
+    if (fees.some((r) => r["FEE"])) {
+      files.push({
+        name: `transfer-fees${run.periodSuffix}.csv`,
+        csv: toCsv(fees, ["NAME", "MODE", "PROVIDER", "AMOUNT", "FEE", "COMMENT"])
+      });
+    }
+
+    const checks = run.momoBatch.filter((r) => r["PROVIDER RESOLVED FROM NUMBER"] || r["NUMBER WARNINGS"]);
+    if (checks.length) {
+      momoChecks.push(...checks);
+      files.push({
+        name: `momo-number-check${run.periodSuffix}.csv`,
+        csv: toCsv(checks, ["NAME", "MOMO PROVIDER", "MOMO NUMBER", "ALTERNATE NUMBERS", "AMOUNT",
+          "PROVIDER RESOLVED FROM NUMBER", "NUMBER WARNINGS"])
+      });
+    }
+
+    if (momoUpload !== "GENERIC") {
+      const momo = momoUploadFiles(run.momoBatch, { valueDate, periodSuffix: run.periodSuffix, profiles: uploadProfiles });
+      for (const u of momo.files) {
+        momoUploads.push(u);
+        if (!u.blocked) files.push({ name: u.name, csv: u.content });
+      }
+      if (momo.flagged.length) {
+        momoFlagged.push(...momo.flagged);
+        files.push({
+          name: `momo-provider-check${run.periodSuffix}.csv`,
+          csv: toCsv(momo.flagged, ["NAME", "MOMO PROVIDER", "MOMO NUMBER", "MOMO NAMES", "AMOUNT", "COMMENT", "ISSUE"])
+        });
+      }
+    }
+  }
 
   files.push({
     name: `transactions${periodSuffix}.csv`,
-    csv: toCsv(ledgerUpdated, ["MONTH", "YEAR", "PERIOD", "COMPANY NAME", "AMOUNT", "MODE", "REFERENCE"])
+    csv: toCsv(ledgerUpdated, LEDGER_HEADERS)
   });
 
-  if (exceptions.length) {
+  if (registerUpdated.length) {
     files.push({
-      name: `exceptions${periodSuffix}.csv`,
-      csv: toCsv(exceptions, ["COMPANY NAME", "AMOUNT", "MODE", "MONTH", "YEAR", "ISSUE"])
+      name: `outstanding-payables${periodSuffix}.csv`,
+      csv: toCsv(registerUpdated, OUTSTANDING_HEADERS)
     });
   }
 
-  if (invalidRows.length) {
-    files.push({
-      name: `invalid-rows${periodSuffix}.csv`,
-      csv: toCsv(invalidRows, ["ROW_NUMBER", "COMPANY NAME", "SUM of COST", "COMMENT", "MONTH", "YEAR", "ISSUE"])
-    });
+  for (const run of runs) {
+    if (run.exceptions.length) {
+      files.push({
+        name: `exceptions${run.periodSuffix}.csv`,
+        csv: toCsv(run.exceptions, ["COMPANY NAME", "AMOUNT", "MODE", "MONTH", "YEAR", "ISSUE"])
+      });
+    }
+
+    if (run.anomalies.length) {
+      files.push({
+        name: `anomalies${run.periodSuffix}.csv`,
+        csv: toCsv(run.anomalies, ["COMPANY NAME", "AMOUNT", "MODE", "MONTH", "YEAR", "USUAL (MEDIAN)", "SCORE", "ISSUE"])
+      });
+    }
+
+    if (run.invalidRows.length) {
+      files.push({
+        name: `invalid-rows${run.periodSuffix}.csv`,
+        csv: toCsv(run.invalidRows, ["ROW_NUMBER", "COMPANY NAME", "SUM of COST", "COMMENT", "MONTH", "YEAR", "ISSUE"])
+      });
+    }
+
+    if (run.skipped.length) {
+      files.push({
+        name: `already-booked${run.periodSuffix}.csv`,
+        csv: toCsv(run.skipped, ["ROW_NUMBER", "COMPANY NAME", "AMOUNT", "MONTH", "YEAR", "ISSUE"])
+      });
+    }
   }
 
   // Render download buttons
@@ -950,7 +2409,8 @@ $("processBtn")?.addEventListener("click", async () => {
     const li = document.createElement("li");
     const btn = document.createElement("button");
     btn.textContent = `Download ${f.name}`;
-    if (f.name.startsWith("exceptions") || f.name.startsWith("invalid-rows")) {
+    if (f.name.startsWith("exceptions") || f.name.startsWith("invalid-rows") || f.name.startsWith("anomalies") ||
+      f.name.startsWith("momo-provider-check")) {
       btn.classList.add("btn-danger");
     } else {
       btn.classList.add("btn-success");
@@ -960,30 +2420,86 @@ $("processBtn")?.addEventListener("click", async () => {
     ul.appendChild(li);
   }
 
+  if (remittances.length) {
+    const title = `MiLCo Remittance Advices${periodSuffix}`;
+
+    const printLi = document.createElement("li");
+    const printBtn = document.createElement("button");
+    printBtn.textContent = `Print remittance advices (${remittances.length})`;
+    printBtn.classList.add("btn-success");
+    printBtn.addEventListener("click", () => printRemittances(title, remittances));
+    printLi.appendChild(printBtn);
+    ul.appendChild(printLi);
+
+    const zipName = `remittance-advices${periodSuffix}.zip`;
+    const zipLi = document.createElement("li");
+    const zipBtn = document.createElement("button");
+    zipBtn.textContent = `Download ${zipName}`;
+    zipBtn.classList.add("btn-success");
+    zipBtn.addEventListener("click", () => downloadRemittanceZip(zipName, remittances));
+    zipLi.appendChild(zipBtn);
+    ul.appendChild(zipLi);
+  }
+
+  const excFiles = runs.filter((r) => r.exceptions.length).map((r) => `exceptions${r.periodSuffix}.csv`);
   $("exceptions").innerHTML = exceptions.length
-    ? `<b>${exceptions.length}</b> issue(s) found. Download <b>exceptions${periodSuffix}.csv</b> and fix <code>data/banking-details.csv</code>.`
+    ? `<b>${exceptions.length}</b> issue(s) found. Download <b>${excFiles.join(", ")}</b> and fix <code>data/banking-details.csv</code>.`
     : "No exceptions. All good.";
+  if (momoFlagged.length) {
+    const checkFiles = runs.map((r) => `momo-provider-check${r.periodSuffix}.csv`)
+      .filter((name) => files.some((f) => f.name === name));
+    $("exceptions").innerHTML +=
+      `<br><b>${momoFlagged.length}</b> MoMo payment(s) have a provider with no upload profile and are in no provider upload file. ` +
+      `Check <b>${checkFiles.join(", ")}</b> and pay them by hand or fix <code>MOMO</code> in banking-details.csv.`;
+  }
+  if (momoChecks.length) {
+    const checkFiles = runs.map((r) => `momo-number-check${r.periodSuffix}.csv`)
+      .filter((name) => files.some((f) => f.name === name));
+    const resolved = momoChecks.filter((r) => r["PROVIDER RESOLVED FROM NUMBER"]).length;
+    const warned = momoChecks.filter((r) => r["NUMBER WARNINGS"]).length;
+    $("exceptions").innerHTML +=
+      `<br><b>${resolved}</b> MoMo payment(s) had more than one provider and were sent to the network of the number paid; ` +
+      `<b>${warned}</b> had an invalid extra number that was left out. They are in the batch, but check ` +
+      `<b>${checkFiles.join(", ")}</b> and correct <code>MOMO</code> / <code>MOMO NUMBER</code> in banking-details.csv.`;
+  }
 
-  if (exceptions.length) {
+  if (exceptions.length || momoFlagged.length || momoChecks.length) {
     $("exceptions")?.classList.add("result-danger");
   } else {
     $("exceptions")?.classList.remove("result-danger");
   }
 
-  // --- Verification summary
+  // --- Verification summary (combined over all periods; per period below when there is more than one)
+  const m = runs.reduce((acc, r) => {
+    for (const [k, v] of Object.entries(r.metrics)) acc[k] = (acc[k] || 0) + v;
+    return acc;
+  }, {});
   const bankCount = bankBatch.length;
   const momoCount = momoBatch.length;
   const excCount = exceptions.length;
   const invalidCount = invalidRows.length;
+  const skippedCount = skipped.length;
   const ledgerAdd = ledgerNew.length;
-  const bankTotal = bankBatch.reduce((a, r) => a + (parseAmount(r["AMOUNT"]) || 0), 0);
-  const momoTotal = momoBatch.reduce((a, r) => a + (parseAmount(r["AMOUNT"]) || 0), 0);
-  const excTotal = exceptions.reduce((a, r) => a + (parseAmount(r["AMOUNT"]) || 0), 0);
-  const totalPayable = bankTotal + momoTotal + excTotal;
-
-  // verification: every non-empty sales row must end up in exactly one bucket:
+  const totalPayable = m.bankTotal + m.momoTotal + m.excTotal;
+  const unpriced = [...bankBatch, ...momoBatch].filter((r) => !r["FEE"]).length;
+  const uploadTotal = uploads.reduce((acc, u) => acc + u.total, 0);
+  const uploadCount = uploads.reduce((acc, u) => acc + u.count, 0);
+  // A bank or MoMo file held back (profile not set up in upload-profiles.csv) cannot be uploaded, so it fails the check
+  const uploadsOk = uploadCount === bankCount && Math.abs(uploadTotal - m.bankTotal) < 0.005 &&
+    uploads.every((u) => !u.blocked);
+  const heldBack = [...uploads, ...momoUploads].filter((u) => u.blocked);
+  const uploadLabel = (u) => `${u.name}: ${u.count} · ${money(u.total)}` + (u.blocked ? " (held back)" : "");
+  // Provider files plus the flagged rows (unknown provider, paid by hand) account for the whole MoMo batch
+  const momoSplitTotal = [...momoUploads.map((u) => u.total), ...momoFlagged.map((r) => parseAmount(r["AMOUNT"]))]
+    .reduce((acc, v) => acc + v, 0);
+  const momoSplitOk = momoUploads.reduce((acc, u) => acc + u.count, 0) + momoFlagged.length === momoCount &&
+    Math.abs(momoSplitTotal - m.momoTotal) < 0.005 && momoUploads.every((u) => !u.blocked);
+
+  // verification: every non-empty sales row (and included arrear) must end up in exactly one bucket:
   // bankBatch OR momoBatch OR exceptions OR invalidRows
-  const verificationOk = nonEmpty === (bankCount + momoCount + excCount + invalidCount);
+  const verificationOk = nonEmpty + m.arrearsCount === (bankCount + momoCount + excCount + invalidCount + skippedCount) &&
+    (debitBank === "GENERIC" || uploadsOk) && (momoUpload === "GENERIC" || momoSplitOk) &&
+    runs.every((r) => r.verificationOk);
 
   setVerifyVisible(true);
   setBadge("vParsed", `Parsed: ${parsedRowCount}`);
@@ -993,8 +2509,12 @@ $("processBtn")?.addEventListener("click", async () => {
   setBadge("vMomo", `MOMO: ${momoCount}`);
   setBadge("vExceptions", `Exceptions: ${excCount}`);
   setBadge("vLedger", `Ledger add: ${ledgerAdd}`);
+  setBadge("vAnomalies", `Anomalies: ${anomalies.length}`);
+  renderAnomalyTable(anomalies);
+  renderPeriodVerifyTable(runs);
 
   renderVerifyTable([
+    ...(runs.length > 1 ? [["Periods processed", runs.map((r) => r.label).join(", ")]] : []),
     ["Rows parsed by parser (including empties)", parsedRowCount],
     ["Fully empty rows dropped", emptyRowCount],
     ["Non-empty rows processed", nonEmpty],
@@ -1002,25 +2522,101 @@ $("processBtn")?.addEventListener("click", async () => {
     ["MOMO rows generated", momoCount],
     ["Exceptions (missing supplier/details)", excCount],
     ["Invalid rows (skipped with reason)", invalidCount],
+    ["Already booked for this period (not paid again)", skippedCount],
+    ["Duplicate period guard", guardNote],
+    ["Arrears included (carried forward)", `${arrearsPaid.length} · ${money(m.arrearsTotal)}`],
+    ["Arrears offered but left out", eligible.length - arrears.length],
+    ["Outstanding payables after this run", `${stillOutstanding.length} · ${money(stillOutstanding.reduce((a, r) => a + parseAmount(r["AMOUNT"]), 0))}`],
     ["Ledger rows added (BANK+MOMO)", ledgerAdd],
-    ["BANK amount total", money(bankTotal)],
-    ["MOMO amount total", money(momoTotal)],
-    ["Exceptions amount total", money(excTotal)],
+    ["Ledger status of new rows", `PENDING · batch ${runs.map((r) => r.batchId).join(", ")}`],
+    ["BANK amount total", money(m.bankTotal)],
+    ["MOMO amount total", money(m.momoTotal)],
+    ["Exceptions amount total", money(m.excTotal)],
     ["Total payable (BANK+MOMO+Exceptions)", money(totalPayable)],
+    ["BANK transfer fees", money(m.bankFees)],
+    ["MOMO transfer fees", money(m.momoFees)],
+    ["Net cost of this batch (BANK+MOMO+fees)", money(m.bankTotal + m.momoTotal + m.bankFees + m.momoFees)],
+    ["Transfers with no fee rule (fee-schedule.csv)", unpriced],
+    ...(debitBank === "GENERIC" ? [] : [
+      ["Bank upload files", uploads.map(uploadLabel).join("; ") || "none"],
+      ["Bank upload files ready and match BANK batch (count + total)", uploadsOk ? "YES" : "NO"],
+      ["References shortened to REFERENCE MAX", uploads.reduce((acc, u) => acc + u.shortened, 0)]
+    ]),
+    ...(momoUpload === "GENERIC" ? [] : [
+      ["MoMo upload files", momoUploads.map(uploadLabel).join("; ") || "none"],
+      ["MoMo rows with an unknown provider (not in any upload file)", momoFlagged.length],
+      ["MoMo upload files ready + flagged rows match MOMO batch (count + total)", momoSplitOk ? "YES" : "NO"]
+    ]),
+    ["Upload files held back (not set up in data/upload-profiles.csv)",
+      heldBack.map((u) => `${u.name} (${u.blocked})`).join("; ") || "none"],
+    ["MoMo providers resolved from the number (e.g. ECOCASH/MPESA, confirm the wallet)",
+      momoChecks.filter((r) => r["PROVIDER RESOLVED FROM NUMBER"]).length],
+    ["MoMo numbers ignored as invalid (fix banking-details.csv)",
+      momoChecks.filter((r) => r["NUMBER WARNINGS"]).length],
+    ["Payout anomalies flagged (review before paying)", anomalies.length],
     ["Parser reported errors (if any)", salesErrors.length],
     ["Verification check passed", verificationOk ? "YES" : "NO"]
   ]);
 
   const note = $("verifyNote");
   if (note) {
+    const invalidFiles = runs.filter((r) => r.invalidRows.length).map((r) => `invalid-rows${r.periodSuffix}.csv`);
     note.innerHTML = verificationOk
-      ? `Verification passed. Non-empty rows (${nonEmpty}) = BANK (${bankCount}) + MOMO (${momoCount}) + Exceptions (${excCount}) + Invalid (${invalidCount}).`
-      : `<b>Verification failed.</b> Non-empty rows (${nonEmpty}) do not match outputs. Download <b>invalid-rows${periodSuffix}.csv</b> to see which rows were skipped and why.`;
+      ? `Verification passed. Non-empty rows (${nonEmpty})` + (m.arrearsCount ? ` + Arrears (${m.arrearsCount})` : "") +
+        ` = BANK (${bankCount}) + MOMO (${momoCount}) + Exceptions (${excCount}) + Invalid (${invalidCount})` +
+        (skippedCount ? ` + Already booked (${skippedCount}).` : ".")
+      : `<b>Verification failed.</b> Non-empty rows (${nonEmpty}) do not match outputs. Download <b>${invalidFiles.join(", ") || `invalid-rows${periodSuffix}.csv`}</b> to see which rows were skipped and why.`;
   }
 
   $("status").textContent =
-    `Done${periodSuffix}. Parsed: ${parsedRowCount}. Non-empty: ${nonEmpty}. ` +
+    `Done${periodSuffix}. ${runs.length > 1 ? `Periods: ${runs.length}. ` : ""}Parsed: ${parsedRowCount}. Non-empty: ${nonEmpty}. ` +
     `Bank: ${bankCount}, MoMo: ${momoCount}, Exceptions: ${excCount}, Invalid: ${invalidCount}. ` +
-    `Ledger added: ${ledgerAdd}. ` +
-    `Totals — Bank: ${money(bankTotal)}, MoMo: ${money(momoTotal)}, Exceptions: ${money(excTotal)}, Total: ${money(totalPayable)}.`;
+    `Ledger added: ${ledgerAdd}. Anomalies: ${anomalies.length}. ` +
+    (policy ? `${guardNote}. ` : "") +
+    (arrearsPaid.length ? `Arrears: ${arrearsPaid.length} (${money(m.arrearsTotal)}). ` : "") +
+    `Totals — Bank: ${money(m.bankTotal)}, MoMo: ${money(m.momoTotal)}, Exceptions: ${money(m.excTotal)}, Total: ${money(totalPayable)}. ` +
+    `Fees: ${money(m.bankFees + m.momoFees)}.`;
+});
+
+$("simRunBtn")?.addEventListener("click", () => {
+  runSimulator().catch((err) => {
+    $("simStatus").textContent = `Simulation failed: ${err.message || err}`;
+  });
+});
+
+setupBankUploadOptions().catch(() => {
+  // Setup file not reachable; only the generic CSV files are offered
+});
+
+setupSimulator().catch(() => {
+  // Ledger not reachable (e.g. opened from file://); the current summary can still be simulated
+});
+
+// Duplicate period prompt: remember the choice and run again
+$("dupAbortBtn")?.addEventListener("click", () => {
+  resetRunPrompts();
+  $("status").textContent = "Aborted. Nothing was generated; transactions.csv is unchanged.";
 });
+
+[["dupReplaceBtn", "REPLACE"], ["dupAppendBtn", "APPEND_MISSING"]].forEach(([id, policy]) => {
+  $(id)?.addEventListener("click", () => {
+    duplicatePolicy = policy;
+    $("processBtn")?.click();
+  });
+});
+
+// Arrears prompt: pay the ticked arrears in this batch, or none of them (they stay outstanding).
+// The duplicate-period choice made before the prompt goes along with the answer.
+function answerArrearsPrompt(selection) {
+  duplicatePolicy = arrearsPolicy;
+  arrearsSelection = selection;
+  $("processBtn")?.click();
+}
+
+$("arrearsIncludeBtn")?.addEventListener("click", () => {
+  answerArrearsPrompt(new Set(
+    [...document.querySelectorAll("#arrearsTable input[data-arrear]:checked")].map((el) => el.dataset.arrear)
+  ));
+});
+
+$("arrearsSkipBtn")?.addEventListener("click", () => answerArrearsPrompt(new Set()));
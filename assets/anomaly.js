@@ -0,0 +1,51 @@
+// assets/anomaly.js
+// MiLCo — Payout anomaly rules, used by the dashboard (index.html) and the batch generator (admin.html)
+// - Robust z-score of a payout against the supplier's earlier months (median / median absolute deviation)
+// - First-time payouts above a limit
+// - Settings read from the anomalyZ / firstPayoutLimit inputs of the page
+
+const ANOMALY_MIN_HISTORY = 3; // fewer earlier months than this is too little to judge
+const MAD_FLOOR_RATIO = 0.1;
+const ANOMALY_DEFAULTS = { zThreshold: 3.5, firstPayoutLimit: 2000 };
+
+// An empty or unreadable field falls back to the default; 0 is a real value
+function anomalyOptions() {
+  const read = (id, fallback) => {
+    const raw = (document.getElementById(id)?.value ?? "").toString().trim();
+    const v = raw === "" ? NaN : Number(raw);
+    return Number.isFinite(v) ? v : fallback;
+  };
+  return {
+    zThreshold: read("anomalyZ", ANOMALY_DEFAULTS.zThreshold),
+    firstPayoutLimit: read("firstPayoutLimit", ANOMALY_DEFAULTS.firstPayoutLimit)
+  };
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  if (!v.length) return NaN;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Returns null when the payout looks normal
+function payoutAnomaly(amount, priorAmounts, opts) {
+  if (!priorAmounts.length) {
+    return amount >= opts.firstPayoutLimit
+      ? { reason: `First payout >= M ${opts.firstPayoutLimit.toFixed(2)}`, baseline: NaN, score: NaN }
+      : null;
+  }
+  if (priorAmounts.length < ANOMALY_MIN_HISTORY) return null;
+
+  const med = median(priorAmounts);
+  const mad = median(priorAmounts.map((a) => Math.abs(a - med)));
+  // Floor the spread at 10% of the usual amount so very steady suppliers aren't flagged for small changes
+  const spread = Math.max(mad, Math.abs(med) * MAD_FLOOR_RATIO);
+  const score = spread ? (0.6745 * (amount - med)) / spread : 0;
+  if (Math.abs(score) < opts.zThreshold) return null;
+  return {
+    reason: score > 0 ? "Much higher than usual" : "Much lower than usual",
+    baseline: med,
+    score
+  };
+}
@@ -1,9 +1,17 @@
 // assets/app.js
 // MiLCo Supplier Sales Dashboard (Client / Read-only)
-// Adds filters: Year, Month, Mode + chart: Bank vs MoMo over time
+// Adds filters: Year, Month, Mode, From/To period range + chart: Bank vs MoMo over time
+// Supplier lookup drills down into monthly payout history
+// Payout costs: transfer fees per month (recorded FEE, or estimated from data/fee-schedule.csv)
+// Breakdown by bank and MoMo provider (ledger joined with banking-details on company name)
+// Preview: load a local transactions-*.csv (and banking CSV) without committing, with a diff vs published
+// Payment status (PENDING / PAID / FAILED / REVERSED): totals per status + Status filter
+// Outstanding payables: exceptions not yet paid, per supplier (data/outstanding-payables.csv)
 
 const BANKING_DETAILS_URL = "data/banking-details.csv";
 const LEDGER_URL = "data/transactions.csv";
+const FEE_SCHEDULE_URL = "data/fee-schedule.csv";
+const OUTSTANDING_URL = "data/outstanding-payables.csv";
 
 const $ = (id) => document.getElementById(id);
 
@@ -12,10 +20,15 @@ const MONTHS = [
   "July","August","September","October","November","December"
 ];
 
+const LEDGER_STATUSES = ["PENDING", "PAID", "FAILED", "REVERSED"];
+
 function normName(s) {
   return (s ?? "").toString().trim().replace(/\s+/g, " ").toUpperCase();
 }
 function clean(s) { return (s ?? "").toString().trim(); }
+function escapeHtml(s) {
+  return clean(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
 
 function monthIndex(monthName) {
   const m = clean(monthName);
@@ -31,6 +44,18 @@ function parseMonthYearFromText(text) {
   return { month: m[1], year: Number(m[2]), period: `${m[1]} ${m[2]}` };
 }
 
+// Chronological period key (YEAR * 12 + month index) so periods sort and step as numbers
+function periodKeyOf(r) {
+  const y = Number(r.YEAR);
+  const m = monthIndex(r.MONTH);
+  if (!Number.isFinite(y) || !y || m === -1) return NaN;
+  return y * 12 + m;
+}
+
+function periodLabelFromKey(key) {
+  return `${MONTHS[key % 12]} ${Math.floor(key / 12)}`;
+}
+
 function parseCsvUrl(url) {
   return new Promise((resolve, reject) => {
     Papa.parse(url, {
@@ -50,22 +75,70 @@ function fmtMoney(n) {
     : "0.00";
 }
 
+function money(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x.toFixed(2) : "";
+}
+
+function toCsv(rows, headers) {
+  return Papa.unparse(rows, { columns: headers });
+}
+
+function downloadBlob(filename, blob) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function downloadText(filename, content) {
+  downloadBlob(filename, new Blob([content], { type: "text/csv;charset=utf-8" }));
+}
+
+// sheets: [{ name, rows, headers }]
+function downloadWorkbook(filename, sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const sh of sheets) {
+    const ws = XLSX.utils.json_to_sheet(sh.rows, { header: sh.headers });
+    XLSX.utils.book_append_sheet(wb, ws, sh.name);
+  }
+  const out = XLSX.write(wb, { bookType: "xlsx", type: "array" });
+  downloadBlob(filename, new Blob([out], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  }));
+}
+
 // --- Charts instances (so we can update instead of stacking)
 let salesChartInstance = null;
 let modeChartInstance = null;
 let modeOverTimeChartInstance = null;
-
-function normalizeLedgerRows(ledgerRows) {
+let supplierChartInstance = null;
+let paretoChartInstance = null;
+let lifecycleChartInstance = null;
+let feeChartInstance = null;
+let institutionBankChartInstance = null;
+let institutionMomoChartInstance = null;
+
+// report (optional) collects what the dashboard would otherwise hide:
+//   dropped:   rows left out of every KPI, with the reason
+//   badPeriod: rows kept, but with no usable MONTH/YEAR (they never appear on period charts)
+//   badStatus: rows kept, but with a STATUS that is not one of LEDGER_STATUSES (kept as written, in no status total)
+function normalizeLedgerRows(ledgerRows, report) {
   const out = [];
 
-  for (const r of (ledgerRows || [])) {
+  (ledgerRows || []).forEach((r, idx) => {
+    const rowNumber = idx + 2; // +2 (header + 1-based)
     const company = clean(r["COMPANY NAME"] ?? r["COMPANY"] ?? r["NAME"]);
-    const amount = Number(r["AMOUNT"]);
+    const amountRaw = clean(r["AMOUNT"]);
+    const amount = amountRaw ? Number(amountRaw) : NaN;
     const mode = clean(r["MODE"]).toUpperCase();
     const reference = clean(r["REFERENCE"] ?? r["COMMENT"] ?? r["PERIOD"] ?? "");
+    const feeRaw = clean(r["FEE"]); // only on rows booked since fees were tracked
+    const statusRaw = clean(r["STATUS"]).toUpperCase(); // empty on rows booked before statuses were tracked
 
     let month = clean(r["MONTH"]);
-    let year = Number(r["YEAR"]);
+    let year = clean(r["YEAR"]) ? Number(r["YEAR"]) : NaN;
     let period = clean(r["PERIOD"]);
 
     // Upgrade from old formats if MONTH/YEAR missing
@@ -87,18 +160,49 @@ function normalizeLedgerRows(ledgerRows) {
     }
     if (!period && month && Number.isFinite(year)) period = `${month} ${year}`;
 
-    if (!company || !Number.isFinite(amount)) continue;
+    if (!company || !Number.isFinite(amount)) {
+      const reasons = [];
+      if (!company) reasons.push("Missing COMPANY NAME");
+      if (!amountRaw) reasons.push("Missing AMOUNT");
+      else if (!Number.isFinite(amount)) reasons.push(`AMOUNT "${amountRaw}" is not a number`);
+      report?.dropped.push({ rowNumber, company, period, amount: amountRaw, issue: reasons.join("; ") });
+      return;
+    }
 
-    out.push({
+    const row = {
       MONTH: month || "",
       YEAR: Number.isFinite(year) ? year : "",
       PERIOD: period || "",
       "COMPANY NAME": company,
       AMOUNT: amount,
       MODE: mode || "",
-      REFERENCE: reference || ""
-    });
-  }
+      REFERENCE: reference || "",
+      FEE: feeRaw ? Number(feeRaw) : NaN,
+      // Old rows have no status; those batches were all paid out
+      STATUS: statusRaw || "PAID",
+      "STATUS DATE": clean(r["STATUS DATE"]),
+      "BATCH ID": clean(r["BATCH ID"])
+    };
+    if (!Number.isFinite(periodKeyOf(row))) {
+      report?.badPeriod.push({
+        rowNumber,
+        company,
+        period: period || [clean(r["MONTH"]), clean(r["YEAR"])].filter(Boolean).join(" "),
+        amount: amountRaw,
+        issue: "No usable MONTH/YEAR (also not found in PERIOD or REFERENCE)"
+      });
+    }
+    if (statusRaw && !LEDGER_STATUSES.includes(statusRaw)) {
+      report?.badStatus.push({
+        rowNumber,
+        company,
+        period,
+        amount: amountRaw,
+        issue: `STATUS "${clean(r["STATUS"])}" is not PENDING, PAID, FAILED or REVERSED`
+      });
+    }
+    out.push(row);
+  });
 
   // Sort stable by year, then month index
   out.sort((a, b) => {
@@ -114,24 +218,49 @@ function normalizeLedgerRows(ledgerRows) {
 let banking = [];
 let ledger = [];
 let ledgerFiltered = [];
+let feeSchedule = [];
+let outstanding = [];
+let bankingByName = new Map();
+let supplierSearch = null;
 
 (async function init() {
   try {
-    [banking, ledger] = await Promise.all([
+    let feeRows, outstandingRows;
+    [banking, ledger, feeRows, outstandingRows] = await Promise.all([
       parseCsvUrl(BANKING_DETAILS_URL),
-      parseCsvUrl(LEDGER_URL).catch(() => [])
+      parseCsvUrl(LEDGER_URL).catch(() => []),
+      parseCsvUrl(FEE_SCHEDULE_URL).catch(() => []),
+      parseCsvUrl(OUTSTANDING_URL).catch(() => [])
     ]);
+    feeSchedule = normalizeFeeSchedule(feeRows);
+    bankingByName = new Map(banking.map(b => [normName(b["COMPANY NAME"]), b]));
 
-    ledger = normalizeLedgerRows(ledger);
+    const ledgerReport = { dropped: [], badPeriod: [], badStatus: [] };
+    ledger = normalizeLedgerRows(ledger, ledgerReport);
+    renderDataHealth(ledgerReport, banking, ledger);
+    outstanding = normalizeOutstandingRows(outstandingRows);
+    published = { banking, ledger, report: ledgerReport, outstanding };
+    renderOutstanding(outstanding);
 
     // Setup filters
     setupFilters(ledger);
+    setupTxTable();
+
+    // Restore a shared view from the URL before the first render
+    const urlState = readUrlState();
+    restoreFilterState(urlState);
 
     // Initial render
     applyFiltersAndRender();
+    restoreTxState(urlState);
 
     // Supplier search always uses full ledger (but you can make it respect filters if you want)
-    setupSupplierSearch(banking, ledger);
+    supplierSearch = setupSupplierSearch(banking, ledger);
+    if (urlState.supplier && supplierSearch) supplierSearch.showByName(urlState.supplier);
+    setupPreview();
+
+    urlStateReady = true;
+    writeUrlState();
 
   } catch (e) {
     console.error(e);
@@ -140,12 +269,161 @@ let ledgerFiltered = [];
   }
 })();
 
-function setupFilters(ledgerRows) {
+// --- Shareable view: filters, selected supplier and table sort/page live in the query string
+let urlStateReady = false; // don't overwrite the incoming URL while init() is still restoring it
+let selectedSupplier = "";
+
+// period key <-> "2026-01"
+function periodKeyToParam(key) {
+  return `${Math.floor(key / 12)}-${String((key % 12) + 1).padStart(2, "0")}`;
+}
+
+function periodParamToKey(param) {
+  const m = clean(param).match(/^(\d{4})-(\d{1,2})$/);
+  if (!m) return NaN;
+  const month = Number(m[2]);
+  return month >= 1 && month <= 12 ? Number(m[1]) * 12 + month - 1 : NaN;
+}
+
+function readUrlState() {
+  const q = new URLSearchParams(window.location.search);
+  return {
+    preset: q.get("preset") || "",
+    from: periodParamToKey(q.get("from")),
+    to: periodParamToKey(q.get("to")),
+    year: q.get("year") || "",
+    month: q.get("month") || "",
+    mode: (q.get("mode") || "").toUpperCase(),
+    status: (q.get("status") || "").toUpperCase(),
+    supplier: q.get("supplier") || "",
+    sort: (q.get("sort") || "").toUpperCase(),
+    dir: q.get("dir") || "",
+    page: Number(q.get("page")) || 1,
+    size: q.get("size")
+  };
+}
+
+// Only set a select if the value is one of its options (ignores stale or hand-edited links)
+function setSelectValue(el, value) {
+  if (!el || value === "" || value === null || value === undefined) return;
+  const v = String(value);
+  if ([...el.options].some(o => o.value === v)) el.value = v;
+}
+
+function restoreFilterState(state) {
+  setSelectValue($("filterYear"), state.year);
+  setSelectValue($("filterMonth"), MONTHS.find(m => m.toUpperCase() === state.month.toUpperCase()) || "");
+  setSelectValue($("filterMode"), state.mode);
+  setSelectValue($("filterStatus"), state.status);
+
+  const range = presetRange(state.preset);
+  if (range) {
+    setSelectValue($("filterPreset"), state.preset);
+    setSelectValue($("filterFrom"), range.from);
+    setSelectValue($("filterTo"), range.to);
+  } else if (Number.isFinite(state.from) || Number.isFinite(state.to)) {
+    setSelectValue($("filterPreset"), "CUSTOM");
+    if (Number.isFinite(state.from)) setSelectValue($("filterFrom"), state.from);
+    if (Number.isFinite(state.to)) setSelectValue($("filterTo"), state.to);
+  }
+}
+
+function restoreTxState(state) {
+  if (TX_COLUMNS.some(c => c.key === state.sort)) txState.sortKey = state.sort;
+  if (state.dir === "asc" || state.dir === "desc") txState.sortDir = state.dir;
+  if (state.size !== null && state.size !== undefined) {
+    setSelectValue($("txPageSize"), state.size);
+    txState.pageSize = Number($("txPageSize")?.value ?? txState.pageSize) || 0;
+  }
+  txState.page = state.page;
+  renderTxTable(ledgerFiltered);
+}
+
+function writeUrlState() {
+  if (!urlStateReady) return;
+  const f = currentFilters();
+  const preset = clean($("filterPreset")?.value || "ALL");
+  const q = new URLSearchParams();
+
+  if (preset !== "ALL" && preset !== "CUSTOM") {
+    q.set("preset", preset);
+  } else {
+    if (Number.isFinite(f.fromKey)) q.set("from", periodKeyToParam(f.fromKey));
+    if (Number.isFinite(f.toKey)) q.set("to", periodKeyToParam(f.toKey));
+  }
+  if (f.year !== "ALL") q.set("year", f.year);
+  if (f.month !== "ALL") q.set("month", f.month);
+  if (f.mode !== "ALL") q.set("mode", f.mode);
+  if (f.status !== "ALL") q.set("status", f.status);
+  if (selectedSupplier) q.set("supplier", selectedSupplier);
+  if (txState.sortKey !== "PERIOD" || txState.sortDir !== "desc") {
+    q.set("sort", txState.sortKey.toLowerCase());
+    q.set("dir", txState.sortDir);
+  }
+  if (txState.pageSize !== 25) q.set("size", String(txState.pageSize));
+  if (txState.page > 1) q.set("page", String(txState.page));
+
+  const qs = q.toString();
+  const url = `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`;
+  window.history.replaceState(null, "", url);
+}
+
+function copyViewLink() {
+  const status = $("exportStatus");
+  const done = () => { if (status) status.textContent = "Link to this view copied to clipboard."; };
+  if (navigator.clipboard?.writeText) {
+    navigator.clipboard.writeText(window.location.href).then(done, () => {
+      if (status) status.textContent = `Copy this link: ${window.location.href}`;
+    });
+  } else if (status) {
+    status.textContent = `Copy this link: ${window.location.href}`;
+  }
+}
+
+// Relative period presets, anchored on the latest period in the ledger (not today's date)
+const PERIOD_PRESETS = [
+  { value: "ALL", label: "All periods" },
+  { value: "LATEST", label: "Latest month" },
+  { value: "LAST3", label: "Last 3 months" },
+  { value: "LAST6", label: "Last 6 months" },
+  { value: "LAST12", label: "Last 12 months" },
+  { value: "THIS_YEAR", label: "This year" },
+  { value: "LAST_YEAR", label: "Last year" },
+  { value: "CUSTOM", label: "Custom range" }
+];
+
+let ledgerMinKey = NaN;
+let ledgerMaxKey = NaN;
+
+function periodKeysBetween(fromKey, toKey) {
+  const keys = [];
+  for (let k = fromKey; k <= toKey; k++) keys.push(k);
+  return keys;
+}
+
+function presetRange(preset) {
+  if (!Number.isFinite(ledgerMaxKey)) return null;
+  const latestYear = Math.floor(ledgerMaxKey / 12);
+  switch (preset) {
+    case "LATEST": return { from: ledgerMaxKey, to: ledgerMaxKey };
+    case "LAST3": return { from: ledgerMaxKey - 2, to: ledgerMaxKey };
+    case "LAST6": return { from: ledgerMaxKey - 5, to: ledgerMaxKey };
+    case "LAST12": return { from: ledgerMaxKey - 11, to: ledgerMaxKey };
+    case "THIS_YEAR": return { from: latestYear * 12, to: ledgerMaxKey };
+    case "LAST_YEAR": return { from: (latestYear - 1) * 12, to: (latestYear - 1) * 12 + 11 };
+    default: return null;
+  }
+}
+
+// Fills the Year / From / To / preset / report-period options from the ledger (re-run when a preview loads)
+function populateFilterOptions(ledgerRows) {
   const yearSel = $("filterYear");
   const monthSel = $("filterMonth");
-  const modeSel = $("filterMode");
+  const fromSel = $("filterFrom");
+  const toSel = $("filterTo");
+  const presetSel = $("filterPreset");
 
-  if (!yearSel || !monthSel || !modeSel) return;
+  if (!yearSel || !monthSel) return;
 
   // Years
   const years = [...new Set(ledgerRows.map(r => r.YEAR).filter(y => y !== ""))].sort((a,b)=>a-b);
@@ -156,54 +434,200 @@ function setupFilters(ledgerRows) {
     `<option value="ALL">All</option>` +
     MONTHS.map(m => `<option value="${m}">${m}</option>`).join("");
 
+  // From/To: every month from the first to the last ledger period (gaps included)
+  const keys = ledgerRows.map(periodKeyOf).filter(Number.isFinite);
+  ledgerMinKey = keys.length ? Math.min(...keys) : NaN;
+  ledgerMaxKey = keys.length ? Math.max(...keys) : NaN;
+
+  if (fromSel && toSel && presetSel) {
+    // Presets can reach back before the first ledger period (e.g. "last year")
+    const earliest = Number.isFinite(ledgerMinKey)
+      ? Math.min(ledgerMinKey, (Math.floor(ledgerMaxKey / 12) - 1) * 12)
+      : NaN;
+    const options = Number.isFinite(earliest)
+      ? periodKeysBetween(earliest, ledgerMaxKey)
+        .map(k => `<option value="${k}">${periodLabelFromKey(k)}</option>`).join("")
+      : "";
+    fromSel.innerHTML = `<option value="ALL">Earliest</option>` + options;
+    toSel.innerHTML = `<option value="ALL">Latest</option>` + options;
+    presetSel.innerHTML = PERIOD_PRESETS.map(p => `<option value="${p.value}">${p.label}</option>`).join("");
+  }
+
+  const reportSel = $("reportPeriod");
+  if (reportSel) {
+    const paidKeys = [...new Set(ledgerRows.map(periodKeyOf).filter(Number.isFinite))].sort((a, b) => b - a);
+    reportSel.innerHTML = paidKeys.map(k => `<option value="${k}">${periodLabelFromKey(k)}</option>`).join("");
+  }
+}
+
+function setupFilters(ledgerRows) {
+  const yearSel = $("filterYear");
+  const monthSel = $("filterMonth");
+  const modeSel = $("filterMode");
+  const fromSel = $("filterFrom");
+  const toSel = $("filterTo");
+  const presetSel = $("filterPreset");
+
+  if (!yearSel || !monthSel || !modeSel) return;
+
+  populateFilterOptions(ledgerRows);
+
+  if (fromSel && toSel && presetSel) {
+    presetSel.addEventListener("change", () => {
+      const range = presetRange(presetSel.value);
+      if (presetSel.value === "ALL") {
+        fromSel.value = "ALL";
+        toSel.value = "ALL";
+      } else if (range) {
+        fromSel.value = String(range.from);
+        toSel.value = String(range.to);
+      }
+      applyFiltersAndRender();
+    });
+
+    [fromSel, toSel].forEach(el => el.addEventListener("change", () => {
+      presetSel.value = (fromSel.value === "ALL" && toSel.value === "ALL") ? "ALL" : "CUSTOM";
+      applyFiltersAndRender();
+    }));
+  }
+
   // React to changes
-  [yearSel, monthSel, modeSel].forEach(el => el.addEventListener("change", applyFiltersAndRender));
+  [yearSel, monthSel, modeSel, $("filterStatus")].forEach(el => el?.addEventListener("change", applyFiltersAndRender));
+  $("leaderboardSize")?.addEventListener("change", () => renderLeaderboard(ledgerFiltered));
+
+  $("exportLedgerCsv")?.addEventListener("click", () => exportFiltered("ledger"));
+  $("exportSuppliersCsv")?.addEventListener("click", () => exportFiltered("suppliers"));
+  $("exportPeriodsCsv")?.addEventListener("click", () => exportFiltered("periods"));
+  $("exportXlsx")?.addEventListener("click", () => exportFiltered("xlsx"));
+  $("copyLink")?.addEventListener("click", copyViewLink);
+
+  $("printReport")?.addEventListener("click", () => printMonthlyReport(Number($("reportPeriod")?.value)));
+
+  [$("anomalyZ"), $("firstPayoutLimit")].forEach(el => el?.addEventListener("change", () => {
+    renderAnomalies(ledgerFiltered);
+  }));
+
+  [$("dormantMonths"), $("churnMonths")].forEach(el => el?.addEventListener("change", () => {
+    renderLifecycle(buildPeriodAxis(currentFilters()));
+  }));
 }
 
-function applyFiltersAndRender() {
-  const year = clean($("filterYear")?.value || "ALL");
-  const month = clean($("filterMonth")?.value || "ALL");
-  const mode = clean($("filterMode")?.value || "ALL").toUpperCase();
-
-  ledgerFiltered = ledger.filter(r => {
-    const matchYear = (year === "ALL") || String(r.YEAR) === String(year);
-    const matchMonth = (month === "ALL") || clean(r.MONTH).toUpperCase() === month.toUpperCase();
-    const matchMode = (mode === "ALL") || clean(r.MODE).toUpperCase() === mode;
-    return matchYear && matchMonth && matchMode;
+function currentFilters() {
+  const from = clean($("filterFrom")?.value || "ALL");
+  const to = clean($("filterTo")?.value || "ALL");
+  return {
+    year: clean($("filterYear")?.value || "ALL"),
+    month: clean($("filterMonth")?.value || "ALL"),
+    mode: clean($("filterMode")?.value || "ALL").toUpperCase(),
+    status: clean($("filterStatus")?.value || "ALL").toUpperCase(),
+    fromKey: from === "ALL" ? NaN : Number(from),
+    toKey: to === "ALL" ? NaN : Number(to)
+  };
+}
+
+function matchesPeriodFilters(r, f) {
+  const matchYear = (f.year === "ALL") || String(r.YEAR) === String(f.year);
+  const matchMonth = (f.month === "ALL") || clean(r.MONTH).toUpperCase() === f.month.toUpperCase();
+  if (!matchYear || !matchMonth) return false;
+  if (!Number.isFinite(f.fromKey) && !Number.isFinite(f.toKey)) return true;
+  const k = periodKeyOf(r);
+  if (!Number.isFinite(k)) return false;
+  if (Number.isFinite(f.fromKey) && k < f.fromKey) return false;
+  if (Number.isFinite(f.toKey) && k > f.toKey) return false;
+  return true;
+}
+
+function matchesFilters(r, f) {
+  const matchMode = (f.mode === "ALL") || clean(r.MODE).toUpperCase() === f.mode;
+  const matchStatus = (f.status === "ALL") || r.STATUS === f.status;
+  return matchMode && matchStatus && matchesPeriodFilters(r, f);
+}
+
+// Chronological x-axis for the active filters: every month in range, zero-value months included
+function buildPeriodAxis(f) {
+  const from = Number.isFinite(f.fromKey) ? f.fromKey : ledgerMinKey;
+  const to = Number.isFinite(f.toKey) ? f.toKey : ledgerMaxKey;
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return [];
+  return periodKeysBetween(from, to).filter(k => {
+    const matchYear = (f.year === "ALL") || String(Math.floor(k / 12)) === String(f.year);
+    const matchMonth = (f.month === "ALL") || MONTHS[k % 12].toUpperCase() === f.month.toUpperCase();
+    return matchYear && matchMonth;
   });
+}
+
+function applyFiltersAndRender() {
+  const f = currentFilters();
+
+  ledgerFiltered = ledger.filter(r => matchesFilters(r, f));
 
   // Filter summary
   const summary = [];
-  if (year !== "ALL") summary.push(`Year: ${year}`);
-  if (month !== "ALL") summary.push(`Month: ${month}`);
-  if (mode !== "ALL") summary.push(`Mode: ${mode}`);
+  if (Number.isFinite(f.fromKey) || Number.isFinite(f.toKey)) {
+    const fromLabel = Number.isFinite(f.fromKey) ? periodLabelFromKey(f.fromKey) : "earliest";
+    const toLabel = Number.isFinite(f.toKey) ? periodLabelFromKey(f.toKey) : "latest";
+    summary.push(`Periods: ${fromLabel} → ${toLabel}`);
+  }
+  if (f.year !== "ALL") summary.push(`Year: ${f.year}`);
+  if (f.month !== "ALL") summary.push(`Month: ${f.month}`);
+  if (f.mode !== "ALL") summary.push(`Mode: ${f.mode}`);
+  if (f.status !== "ALL") summary.push(`Status: ${f.status}`);
   $("filterSummary").textContent = summary.length ? `Active filters → ${summary.join(" · ")}` : "No filters applied (showing everything).";
 
+  const axis = buildPeriodAxis(f);
+
   // KPIs + charts + table
   renderKPIs(ledgerFiltered);
-  renderSalesByPeriodChart(ledgerFiltered);
+
+  // Status totals ignore the Status filter, so paid vs pending vs failed stay comparable
+  renderStatusTotals(ledger.filter(r => matchesFilters(r, { ...f, status: "ALL" })));
+  renderSalesByPeriodChart(ledgerFiltered, axis);
   renderModeChart(ledgerFiltered);
 
   // Mode-over-time chart: ignore Mode filter so we always show both BANK and MOMO
-  const ledgerForModeOverTime = ledger.filter(r => {
-    const matchYear = (year === "ALL") || String(r.YEAR) === String(year);
-    const matchMonth = (month === "ALL") || clean(r.MONTH).toUpperCase() === month.toUpperCase();
-    return matchYear && matchMonth;
-  });
-  renderModeOverTimeChart(ledgerForModeOverTime);
+  const ledgerForModeOverTime = ledger.filter(r => matchesFilters(r, { ...f, mode: "ALL" }));
+  renderModeOverTimeChart(ledgerForModeOverTime, axis);
+  renderFeeChart(ledgerFiltered, axis);
 
-  renderLatestTable(ledgerFiltered);
-}
+  renderComparisons(f, axis);
+  renderLeaderboard(ledgerFiltered);
+  renderInstitutions(ledgerFiltered);
 
-function renderKPIs(rows) {
-  const periods = [...new Set(rows.map(r => clean(r.PERIOD)).filter(Boolean))];
-  const total = rows.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  // Lifecycle needs each supplier's full history, so it also ignores the Mode filter
+  renderLifecycle(axis);
+  renderAnomalies(ledgerFiltered);
+
+  txState.page = 1;
+  renderTxTable(ledgerFiltered);
+}
 
-  const modeTotals = rows.reduce((acc, r) => {
+// Shared aggregations (KPIs, charts and the printable report all use these)
+function modeTotalsOf(rows) {
+  return rows.reduce((acc, r) => {
     const m = clean(r.MODE).toUpperCase() || "UNKNOWN";
     acc[m] = (acc[m] || 0) + (Number(r.AMOUNT) || 0);
     return acc;
   }, {});
+}
+
+function modeTotalsByPeriod(rows) {
+  const map = new Map(); // period key -> {bank, momo}
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    if (!Number.isFinite(k)) continue;
+    if (!map.has(k)) map.set(k, { bank: 0, momo: 0 });
+    const rec = map.get(k);
+    const amt = Number(r.AMOUNT) || 0;
+    const mode = clean(r.MODE).toUpperCase();
+    if (mode === "BANK") rec.bank += amt;
+    if (mode === "MOMO") rec.momo += amt;
+  }
+  return map;
+}
+
+function renderKPIs(rows) {
+  const periods = [...new Set(rows.map(r => clean(r.PERIOD)).filter(Boolean))];
+  const total = rows.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  const modeTotals = modeTotalsOf(rows);
 
   $("kpiMonths").textContent = String(periods.length);
   $("kpiSales").textContent = `M ${fmtMoney(total)}`;
@@ -212,16 +636,37 @@ function renderKPIs(rows) {
     `Bank M ${fmtMoney(modeTotals.BANK || 0)} / MoMo M ${fmtMoney(modeTotals.MOMO || 0)}`;
 }
 
-function renderSalesByPeriodChart(rows) {
-  const byPeriod = {};
+function statusTotalsOf(rows) {
+  const totals = Object.fromEntries(LEDGER_STATUSES.map(s => [s, { count: 0, amount: 0 }]));
+  for (const r of rows) {
+    const rec = totals[r.STATUS];
+    if (!rec) continue;
+    rec.count++;
+    rec.amount += Number(r.AMOUNT) || 0;
+  }
+  return totals;
+}
+
+function renderStatusTotals(rows) {
+  const totals = statusTotalsOf(rows);
+  const ids = { PAID: "kpiPaid", PENDING: "kpiPending", FAILED: "kpiFailed", REVERSED: "kpiReversed" };
+  for (const [status, id] of Object.entries(ids)) {
+    if (!$(id)) continue;
+    $(id).textContent = `M ${fmtMoney(totals[status].amount)}`;
+    $(`${id}Count`).textContent = `${totals[status].count} payout(s)`;
+  }
+}
+
+function renderSalesByPeriodChart(rows, axis) {
+  const byKey = new Map();
   rows.forEach(r => {
-    const p = clean(r.PERIOD);
-    if (!p) return;
-    byPeriod[p] = (byPeriod[p] || 0) + (Number(r.AMOUNT) || 0);
+    const k = periodKeyOf(r);
+    if (!Number.isFinite(k)) return;
+    byKey.set(k, (byKey.get(k) || 0) + (Number(r.AMOUNT) || 0));
   });
 
-  const labels = Object.keys(byPeriod);
-  const data = labels.map(k => byPeriod[k]);
+  const labels = axis.map(periodLabelFromKey);
+  const data = axis.map(k => byKey.get(k) || 0);
 
   const el = document.getElementById("salesChart");
   if (!el || typeof Chart === "undefined") return;
@@ -235,11 +680,7 @@ function renderSalesByPeriodChart(rows) {
 }
 
 function renderModeChart(rows) {
-  const modeTotals = rows.reduce((acc, r) => {
-    const m = clean(r.MODE).toUpperCase() || "UNKNOWN";
-    acc[m] = (acc[m] || 0) + (Number(r.AMOUNT) || 0);
-    return acc;
-  }, {});
+  const modeTotals = modeTotalsOf(rows);
 
   const labels = Object.keys(modeTotals);
   const data = labels.map(k => modeTotals[k]);
@@ -255,23 +696,12 @@ function renderModeChart(rows) {
   });
 }
 
-function renderModeOverTimeChart(rows) {
-  // Build period list in chronological order
-  const map = new Map(); // period -> {bank, momo}
-  for (const r of rows) {
-    const period = clean(r.PERIOD) || `${clean(r.MONTH)} ${clean(r.YEAR)}`.trim();
-    if (!period) continue;
-    if (!map.has(period)) map.set(period, { bank: 0, momo: 0 });
-    const rec = map.get(period);
-    const amt = Number(r.AMOUNT) || 0;
-    const mode = clean(r.MODE).toUpperCase();
-    if (mode === "BANK") rec.bank += amt;
-    if (mode === "MOMO") rec.momo += amt;
-  }
+function renderModeOverTimeChart(rows, axis) {
+  const map = modeTotalsByPeriod(rows);
 
-  const labels = [...map.keys()];
-  const bankData = labels.map(p => map.get(p).bank);
-  const momoData = labels.map(p => map.get(p).momo);
+  const labels = axis.map(periodLabelFromKey);
+  const bankData = axis.map(k => map.get(k)?.bank || 0);
+  const momoData = axis.map(k => map.get(k)?.momo || 0);
 
   const el = document.getElementById("modeOverTimeChart");
   if (!el || typeof Chart === "undefined") return;
@@ -293,97 +723,1720 @@ function renderModeOverTimeChart(rows) {
   });
 }
 
-function renderLatestTable(rows) {
-  const tbody = document.querySelector("#txTable tbody");
-  if (!tbody) return;
+// --- Transfer fees (same rules as admin.js; see data/fee-schedule.csv)
+const FEE_TYPES = ["FLAT", "PERCENT", "TIERED"];
+
+const INSTITUTION_ALIASES = {
+  "POSTBANK": "POST BANK",
+  "LESOTHO POST BANK": "POST BANK",
+  "STANDARD BANK": "STANDARD LESOTHO BANK",
+  "SLB": "STANDARD LESOTHO BANK",
+  "FIRST NATIONAL BANK": "FNB",
+  "M-PESA": "MPESA",
+  "M PESA": "MPESA",
+  "ECO CASH": "ECOCASH"
+};
+
+function normInstitution(s) {
+  const n = normName(s);
+  return INSTITUTION_ALIASES[n] || n;
+}
 
-  const last = [...rows].slice(-30).reverse();
-  tbody.innerHTML = "";
+function normalizeFeeSchedule(rows) {
+  const rules = [];
+  for (const r of (rows || [])) {
+    const channel = normName(r["CHANNEL"]);
+    const type = normName(r["TYPE"]);
+    const fee = Number(clean(r["FEE"]));
+    if (!["BANK", "MOMO"].includes(channel) || !FEE_TYPES.includes(type) || !clean(r["FEE"]) || !Number.isFinite(fee)) continue;
+
+    const from = clean(r["FROM"]) ? Number(r["FROM"]) : 0;
+    const to = clean(r["TO"]) ? Number(r["TO"]) : Infinity;
+    rules.push({
+      channel,
+      provider: clean(r["PROVIDER"]) === "*" ? "*" : normInstitution(r["PROVIDER"]) || "*",
+      type,
+      from: Number.isFinite(from) ? from : 0,
+      to: Number.isFinite(to) ? to : Infinity,
+      fee
+    });
+  }
+  return rules;
+}
 
-  last.forEach(r => {
-    const tr = document.createElement("tr");
-    const period = clean(r.PERIOD) || `${clean(r.MONTH)} ${clean(r.YEAR)}`.trim();
-    const supplier = clean(r["COMPANY NAME"]);
-    const amount = Number(r.AMOUNT) || 0;
+function transferFee(schedule, channel, provider, amount) {
+  const forChannel = (schedule || []).filter(r => r.channel === channel);
+  const key = normInstitution(provider);
+  const own = forChannel.filter(r => r.provider === key);
+  const rules = own.length ? own : forChannel.filter(r => r.provider === "*");
 
-    const mode = clean(r.MODE).toUpperCase();
-    const badgeClass = mode === "BANK" ? "red" : (mode === "MOMO" ? "green" : "");
-    const reference = clean(r.REFERENCE);
+  const rule = rules.find(r => r.type !== "TIERED" || (amount >= r.from && amount <= r.to));
+  if (!rule) return NaN;
+  if (rule.type === "PERCENT") return Math.round(amount * rule.fee) / 100;
+  return rule.fee;
+}
 
-    tr.innerHTML = `
-      <td>${period}</td>
-      <td>${supplier}</td>
-      <td>M ${fmtMoney(amount)}</td>
-      <td><span class="badge ${badgeClass}">${mode || "—"}</span></td>
-      <td>${reference}</td>
-    `;
-    tbody.appendChild(tr);
-  });
+// Recorded FEE when the row has one, otherwise an estimate from today's schedule and banking details
+function rowFee(r) {
+  if (Number.isFinite(r.FEE)) return { fee: r.FEE, estimated: false };
+  const mode = clean(r.MODE).toUpperCase();
+  if (mode !== "BANK" && mode !== "MOMO") return { fee: NaN, estimated: true };
+  const supplier = bankingByName.get(normName(r["COMPANY NAME"])) || {};
+  const provider = mode === "BANK" ? supplier["BANK"] : supplier["MOMO"];
+  return { fee: transferFee(feeSchedule, mode, provider, Number(r.AMOUNT) || 0), estimated: true };
 }
 
-function setupSupplierSearch(bankingRows, ledgerRows) {
-  const input = $("supplierSearch");
-  const out = $("supplierResult");
-  if (!input || !out) return;
+function feeTotalsByPeriod(rows) {
+  const map = new Map(); // period key -> { recorded, estimated, payouts }
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    if (!Number.isFinite(k)) continue;
+    if (!map.has(k)) map.set(k, { recorded: 0, estimated: 0, payouts: 0 });
+    const rec = map.get(k);
+    const { fee, estimated } = rowFee(r);
+    rec.payouts += Number(r.AMOUNT) || 0;
+    if (!Number.isFinite(fee)) continue;
+    if (estimated) rec.estimated += fee;
+    else rec.recorded += fee;
+  }
+  return map;
+}
 
-  const supplierIndex = new Map();
-  bankingRows.forEach(r => supplierIndex.set(normName(r["COMPANY NAME"]), r));
+function renderFeeChart(rows, axis) {
+  const map = feeTotalsByPeriod(rows);
 
-  const ledgerBySupplier = new Map();
-  ledgerRows.forEach(r => {
-    const k = normName(r["COMPANY NAME"]);
-    if (!k) return;
-    if (!ledgerBySupplier.has(k)) ledgerBySupplier.set(k, []);
-    ledgerBySupplier.get(k).push(r);
-  });
+  const recorded = axis.map(k => map.get(k)?.recorded || 0);
+  const estimated = axis.map(k => map.get(k)?.estimated || 0);
+  const payouts = axis.map(k => map.get(k)?.payouts || 0);
 
-  input.addEventListener("input", () => {
-    const q = normName(input.value);
-    if (!q) { out.innerHTML = ""; return; }
+  const feeTotal = [...recorded, ...estimated].reduce((a, b) => a + b, 0);
+  const estTotal = estimated.reduce((a, b) => a + b, 0);
+  const payoutTotal = payouts.reduce((a, b) => a + b, 0);
 
-    const keys = [...supplierIndex.keys()];
-    const matchKey =
-      keys.find(k => k === q) ||
-      keys.find(k => k.startsWith(q)) ||
-      keys.find(k => k.includes(q)) ||
-      keys.find(k => q.includes(k));
+  if ($("feeSummary")) {
+    $("feeSummary").textContent = feeSchedule.length
+      ? `Fees M ${fmtMoney(feeTotal)} on payouts of M ${fmtMoney(payoutTotal)}` +
+        ` (${payoutTotal ? ((feeTotal / payoutTotal) * 100).toFixed(2) : "0.00"}%).` +
+        (estTotal ? ` M ${fmtMoney(estTotal)} is estimated for rows booked without a FEE.` : "")
+      : "No fee schedule loaded (data/fee-schedule.csv). Showing recorded fees only.";
+  }
 
-    if (!matchKey) {
-      out.innerHTML = "<span class='muted'>No match in supplier master list.</span>";
-      return;
+  const el = document.getElementById("feeChart");
+  if (!el || typeof Chart === "undefined") return;
+
+  if (feeChartInstance) feeChartInstance.destroy();
+  feeChartInstance = new Chart(el, {
+    type: "bar",
+    data: {
+      labels: axis.map(periodLabelFromKey),
+      datasets: [
+        { label: "Fees (recorded)", data: recorded, stack: "fees", yAxisID: "y" },
+        { label: "Fees (estimated)", data: estimated, stack: "fees", yAxisID: "y" },
+        { label: "Payout volume", data: payouts, type: "line", yAxisID: "y1" }
+      ]
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: true } },
+      scales: {
+        y: { stacked: true, beginAtZero: true, title: { display: true, text: "Fees (M)" } },
+        y1: { position: "right", beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: "Payouts (M)" } }
+      }
     }
+  });
+}
 
-    const s = supplierIndex.get(matchKey);
-    const history = ledgerBySupplier.get(matchKey) || [];
-    const total = history.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+// --- Comparisons: selected window vs the window just before it and vs the same months last year
+function summarizeRows(rows) {
+  const total = rows.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  const suppliers = new Set(rows.map(r => normName(r["COMPANY NAME"])).filter(Boolean)).size;
+  const bank = rows.filter(r => clean(r.MODE).toUpperCase() === "BANK")
+    .reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  const momo = rows.filter(r => clean(r.MODE).toUpperCase() === "MOMO")
+    .reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  return {
+    total,
+    suppliers,
+    avgPerSupplier: suppliers ? total / suppliers : 0,
+    bankShare: total ? (bank / total) * 100 : 0,
+    momoShare: total ? (momo / total) * 100 : 0
+  };
+}
 
-    const supplierModeTotals = history.reduce((acc, r) => {
-      const m = clean(r.MODE).toUpperCase() || "UNKNOWN";
-      acc[m] = (acc[m] || 0) + (Number(r.AMOUNT) || 0);
-      return acc;
-    }, {});
+function totalsBySupplier(rows) {
+  const map = new Map(); // normalized name -> { name, total }
+  for (const r of rows) {
+    const k = normName(r["COMPANY NAME"]);
+    if (!k) continue;
+    if (!map.has(k)) map.set(k, { name: clean(r["COMPANY NAME"]), total: 0 });
+    map.get(k).total += Number(r.AMOUNT) || 0;
+  }
+  return map;
+}
 
-    out.innerHTML = `
-      <div><b>${clean(s["COMPANY NAME"])}</b></div>
+function rowsForPeriodKeys(keys, f) {
+  const set = new Set(keys);
+  return ledger.filter(r => {
+    const matchMode = (f.mode === "ALL") || clean(r.MODE).toUpperCase() === f.mode;
+    const matchStatus = (f.status === "ALL") || r.STATUS === f.status;
+    return matchMode && matchStatus && set.has(periodKeyOf(r));
+  });
+}
 
-      <div class="muted small" style="margin-top:6px;">
-        <span class="badge red">Bank</span>
-        ${clean(s["BANK"]) || "—"} · Acc: ${clean(s["ACCOUNT"]) || "—"} · Branch: ${clean(s["BRANCH"]) || "—"}
-      </div>
+function describeWindow(keys) {
+  if (!keys.length) return "—";
+  const first = periodLabelFromKey(keys[0]);
+  const last = periodLabelFromKey(keys[keys.length - 1]);
+  return first === last ? first : `${first} – ${last}`;
+}
 
-      <div class="muted small" style="margin-top:6px;">
-        <span class="badge green">MoMo</span>
-        ${clean(s["MOMO"]) || "—"} · No: ${clean(s["MOMO NUMBER"]) || "—"} · Names: ${clean(s["MOMO NAMES"]) || "—"}
-      </div>
+// kind: "money" | "count" | "share" (share deltas are percentage points)
+function fmtDelta(cur, prev, kind, hasPrev) {
+  if (!hasPrev) return `<span class="delta flat">n/a</span>`;
+  const diff = cur - prev;
+  const dir = Math.abs(diff) < 0.005 ? "flat" : (diff > 0 ? "up" : "down");
+  const arrow = dir === "up" ? "▲" : (dir === "down" ? "▼" : "■");
+  const sign = diff > 0 ? "+" : (diff < 0 ? "−" : "");
+  const abs = Math.abs(diff);
+
+  let text;
+  if (kind === "share") text = `${sign}${abs.toFixed(1)} pp`;
+  else if (kind === "count") text = `${sign}${Math.round(abs)}`;
+  else text = `${sign}M ${fmtMoney(abs)}`;
+
+  if (kind !== "share" && prev) text += ` (${sign}${(Math.abs(diff / prev) * 100).toFixed(1)}%)`;
+  return `<span class="delta ${dir}">${arrow} ${text}</span>`;
+}
 
-      <div style="margin-top:10px;">
-        <b>Total payouts:</b> M ${fmtMoney(total)}
-        <span class="muted small">(${history.length} month entries)</span>
-      </div>
+const MOVERS_LIMIT = 5;
 
-      <div class="muted small" style="margin-top:6px;">
-        Bank: M ${fmtMoney(supplierModeTotals.BANK || 0)} · MoMo: M ${fmtMoney(supplierModeTotals.MOMO || 0)}
-      </div>
+function renderComparisons(f, axis) {
+  const tbody = document.querySelector("#compareTable tbody");
+  const note = $("compareWindows");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  if (!axis.length) {
+    if (note) note.textContent = "No periods in the current selection.";
+    ["moversUp", "moversDown"].forEach(id => { if ($(id)) $(id).innerHTML = ""; });
+    return;
+  }
+
+  // Previous window: as many months straight before the current one; with a Month filter the axis
+  // jumps a year at a time, so each month is compared with the same month a year earlier instead
+  const prevKeys = f.month !== "ALL"
+    ? axis.map(k => k - 12)
+    : axis.map((k, i) => axis[0] - axis.length + i);
+  const yoyKeys = axis.map(k => k - 12);
+
+  const curRows = rowsForPeriodKeys(axis, f);
+  const prevRows = rowsForPeriodKeys(prevKeys, f);
+  const yoyRows = rowsForPeriodKeys(yoyKeys, f);
+
+  const cur = summarizeRows(curRows);
+  const prev = summarizeRows(prevRows);
+  const yoy = summarizeRows(yoyRows);
+  const hasPrev = prevRows.length > 0;
+  const hasYoy = yoyRows.length > 0;
+
+  if (note) {
+    note.textContent =
+      `Current: ${describeWindow(axis)} · Previous: ${describeWindow(prevKeys)} · Last year: ${describeWindow(yoyKeys)}`;
+  }
+
+  const metrics = [
+    ["Total payouts", "total", "money", v => `M ${fmtMoney(v)}`],
+    ["Suppliers paid", "suppliers", "count", v => String(v)],
+    ["Avg payout per supplier", "avgPerSupplier", "money", v => `M ${fmtMoney(v)}`],
+    ["Bank share", "bankShare", "share", v => `${v.toFixed(1)}%`],
+    ["MoMo share", "momoShare", "share", v => `${v.toFixed(1)}%`]
+  ];
+
+  for (const [label, key, kind, fmt] of metrics) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${label}</td>
+      <td>${fmt(cur[key])}</td>
+      <td>${fmtDelta(cur[key], prev[key], kind, hasPrev)}</td>
+      <td>${fmtDelta(cur[key], yoy[key], kind, hasYoy)}</td>
     `;
+    tbody.appendChild(tr);
+  }
+
+  // Per-supplier movers vs the previous window (new and dropped suppliers count from/to zero)
+  const curBy = totalsBySupplier(curRows);
+  const prevBy = totalsBySupplier(prevRows);
+  const movers = [];
+  for (const k of new Set([...curBy.keys(), ...prevBy.keys()])) {
+    const c = curBy.get(k)?.total || 0;
+    const p = prevBy.get(k)?.total || 0;
+    movers.push({ name: curBy.get(k)?.name || prevBy.get(k)?.name, cur: c, prev: p, diff: c - p });
+  }
+
+  const renderMovers = (id, list) => {
+    const el = $(id);
+    if (!el) return;
+    if (!hasPrev) { el.innerHTML = "<li class='muted'>No previous period to compare.</li>"; return; }
+    el.innerHTML = list.length
+      ? list.map(m => `
+          <li>
+            <span>${m.name}</span>
+            <span>${fmtDelta(m.cur, m.prev, "money", true)}</span>
+          </li>`).join("")
+      : "<li class='muted'>None.</li>";
+  };
+
+  renderMovers("moversUp", movers.filter(m => m.diff > 0).sort((a, b) => b.diff - a.diff).slice(0, MOVERS_LIMIT));
+  renderMovers("moversDown", movers.filter(m => m.diff < 0).sort((a, b) => a.diff - b.diff).slice(0, MOVERS_LIMIT));
+}
+
+// --- Leaderboard + Pareto (supplier concentration for the filtered rows)
+function renderLeaderboard(rows) {
+  const topN = Number($("leaderboardSize")?.value) || 10;
+  const ranked = [...totalsBySupplier(rows).values()].sort((a, b) => b.total - a.total);
+  const total = ranked.reduce((a, s) => a + s.total, 0);
+
+  const top = ranked.slice(0, topN);
+  const topTotal = top.reduce((a, s) => a + s.total, 0);
+  const topShare = total ? (topTotal / total) * 100 : 0;
+
+  const metric = $("concentration");
+  if (metric) {
+    metric.textContent = ranked.length
+      ? `Top ${top.length} supplier(s) = ${topShare.toFixed(1)}% of payouts (M ${fmtMoney(topTotal)} of M ${fmtMoney(total)}, ${ranked.length} suppliers).`
+      : "No payouts for the current filters.";
+  }
+
+  const tbody = document.querySelector("#leaderboardTable tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    top.forEach((s, i) => {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${i + 1}</td>
+        <td>${s.name}</td>
+        <td>M ${fmtMoney(s.total)}</td>
+        <td>${total ? ((s.total / total) * 100).toFixed(1) : "0.0"}%</td>
+      `;
+      tbody.appendChild(tr);
+    });
+  }
+
+  // Pareto: every supplier high to low, with the cumulative share on a second axis
+  let running = 0;
+  const cumulative = ranked.map(s => {
+    running += s.total;
+    return total ? (running / total) * 100 : 0;
+  });
+
+  const el = $("paretoChart");
+  if (!el || typeof Chart === "undefined") return;
+
+  if (paretoChartInstance) paretoChartInstance.destroy();
+  paretoChartInstance = new Chart(el, {
+    data: {
+      labels: ranked.map(s => s.name),
+      datasets: [
+        { type: "bar", label: "Payout", data: ranked.map(s => s.total), yAxisID: "y" },
+        { type: "line", label: "Cumulative share (%)", data: cumulative, yAxisID: "share", pointRadius: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: true } },
+      scales: {
+        x: { ticks: { display: false } },
+        y: { beginAtZero: true, position: "left" },
+        share: { min: 0, max: 100, position: "right", grid: { drawOnChartArea: false } }
+      }
+    }
+  });
+}
+
+// --- Breakdown by institution: which bank / MoMo provider each payout goes through
+const NOT_IN_BANKING = "NOT IN BANKING DETAILS";
+
+// Ledger rows only carry MODE, so the institution comes from the supplier's current banking details
+function institutionOf(r) {
+  const mode = clean(r.MODE).toUpperCase();
+  const supplier = bankingByName.get(normName(r["COMPANY NAME"]));
+  if (!supplier) return NOT_IN_BANKING;
+  if (mode === "BANK") return normInstitution(supplier["BANK"]) || "BANK NOT SET";
+  if (mode === "MOMO") {
+    const provider = normInstitution(supplier["MOMO"]);
+    if (!provider) return "PROVIDER NOT SET";
+    return provider.includes("/") ? `${provider} (UNCLEAR)` : provider;
+  }
+  return "UNKNOWN MODE";
+}
+
+function aggregateByInstitution(rows) {
+  const map = new Map(); // "MODE|INSTITUTION" -> { mode, institution, suppliers, count, total }
+  for (const r of rows) {
+    const mode = clean(r.MODE).toUpperCase() || "UNKNOWN";
+    const institution = institutionOf(r);
+    const k = `${mode}|${institution}`;
+    if (!map.has(k)) map.set(k, { mode, institution, suppliers: new Set(), count: 0, total: 0 });
+    const rec = map.get(k);
+    rec.suppliers.add(normName(r["COMPANY NAME"]));
+    rec.count++;
+    rec.total += Number(r.AMOUNT) || 0;
+  }
+  return [...map.values()].sort((a, b) => a.mode.localeCompare(b.mode) || b.total - a.total);
+}
+
+function renderInstitutions(rows) {
+  const groups = aggregateByInstitution(rows);
+  const modeTotals = modeTotalsOf(rows);
+
+  const tbody = document.querySelector("#institutionTable tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    if (!groups.length) {
+      tbody.innerHTML = `<tr><td colspan="6" class="muted">No payouts for the current filters.</td></tr>`;
+    }
+    for (const g of groups) {
+      const modeTotal = modeTotals[g.mode] || 0;
+      const tr = document.createElement("tr");
+      if (g.institution === NOT_IN_BANKING || g.institution.endsWith("(UNCLEAR)") || g.institution.endsWith("NOT SET")) {
+        tr.classList.add("row-missing");
+      }
+      tr.innerHTML = `
+        <td>${g.mode}</td>
+        <td>${g.institution}</td>
+        <td>${g.suppliers.size}</td>
+        <td>${g.count}</td>
+        <td>M ${fmtMoney(g.total)}</td>
+        <td>${modeTotal ? ((g.total / modeTotal) * 100).toFixed(1) : "0.0"}%</td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+
+  if (typeof Chart === "undefined") return;
+  const bank = groups.filter(g => g.mode === "BANK");
+  const momo = groups.filter(g => g.mode === "MOMO");
+
+  const bankEl = $("institutionBankChart");
+  if (bankEl) {
+    if (institutionBankChartInstance) institutionBankChartInstance.destroy();
+    institutionBankChartInstance = new Chart(bankEl, {
+      type: "bar",
+      data: {
+        labels: bank.map(g => g.institution),
+        datasets: [{ label: "Bank payouts", data: bank.map(g => g.total) }]
+      },
+      options: { responsive: true, indexAxis: "y", plugins: { legend: { display: false } } }
+    });
+  }
+
+  const momoEl = $("institutionMomoChart");
+  if (momoEl) {
+    if (institutionMomoChartInstance) institutionMomoChartInstance.destroy();
+    institutionMomoChartInstance = new Chart(momoEl, {
+      type: "doughnut",
+      data: {
+        labels: momo.map(g => g.institution),
+        datasets: [{ label: "MoMo payouts", data: momo.map(g => g.total) }]
+      },
+      options: { responsive: true }
+    });
+  }
+}
+
+// --- Printable monthly payout report (built from the full ledger for one period)
+const REPORT_TOP_SUPPLIERS = 10;
+const REPORT_TREND_MONTHS = 6;
+
+function buildMonthlyReportHtml(key) {
+  const label = periodLabelFromKey(key);
+  const rows = ledger.filter(r => periodKeyOf(r) === key);
+  const prevRows = ledger.filter(r => periodKeyOf(r) === key - 1);
+  const cur = summarizeRows(rows);
+  const prev = summarizeRows(prevRows);
+  const hasPrev = prevRows.length > 0;
+
+  const modeTotals = modeTotalsOf(rows);
+  const modeCounts = rows.reduce((acc, r) => {
+    const m = clean(r.MODE).toUpperCase() || "UNKNOWN";
+    acc[m] = (acc[m] || 0) + 1;
+    return acc;
+  }, {});
+  const modes = Object.keys(modeTotals).sort();
+
+  const top = [...totalsBySupplier(rows).values()]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, REPORT_TOP_SUPPLIERS);
+
+  const anomalies = findAnomalies(rows, groupBySupplier(ledger), anomalyOptions());
+  const duplicates = findDuplicateEntries(rows);
+  const orphans = findOrphanSuppliers(rows, banking);
+  const exceptionCount = anomalies.length + duplicates.length + orphans.length;
+
+  const trendKeys = periodKeysBetween(key - REPORT_TREND_MONTHS + 1, key);
+  const trend = modeTotalsByPeriod(ledger.filter(r => trendKeys.includes(periodKeyOf(r))));
+
+  const generated = new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+
+  return `
+    <div class="reportHeader">
+      <img src="assets/img/milco-logo.png" alt="MiLCo logo">
+      <div>
+        <h1>Monthly Supplier Payout Report — ${label}</h1>
+        <div class="muted small">Made-In-Lesotho Retail Cooperative Society Ltd · Generated ${generated} from ${LEDGER_URL}</div>
+      </div>
+    </div>
+
+    <h3>1. Totals by payment mode</h3>
+    <table>
+      <thead><tr><th>Mode</th><th>Payments</th><th>Amount</th><th>Share</th></tr></thead>
+      <tbody>
+        ${modes.map(m => `
+          <tr>
+            <td>${m}</td>
+            <td>${modeCounts[m] || 0}</td>
+            <td>M ${fmtMoney(modeTotals[m])}</td>
+            <td>${cur.total ? ((modeTotals[m] / cur.total) * 100).toFixed(1) : "0.0"}%</td>
+          </tr>`).join("")}
+        <tr class="total"><td>Total</td><td>${rows.length}</td><td>M ${fmtMoney(cur.total)}</td><td>100%</td></tr>
+      </tbody>
+    </table>
+
+    <h3>2. Change vs ${periodLabelFromKey(key - 1)}</h3>
+    <table>
+      <thead><tr><th>Metric</th><th>${label}</th><th>${periodLabelFromKey(key - 1)}</th><th>Change</th></tr></thead>
+      <tbody>
+        <tr><td>Total payouts</td><td>M ${fmtMoney(cur.total)}</td><td>${hasPrev ? `M ${fmtMoney(prev.total)}` : "—"}</td><td>${fmtDelta(cur.total, prev.total, "money", hasPrev)}</td></tr>
+        <tr><td>Suppliers paid</td><td>${cur.suppliers}</td><td>${hasPrev ? prev.suppliers : "—"}</td><td>${fmtDelta(cur.suppliers, prev.suppliers, "count", hasPrev)}</td></tr>
+        <tr><td>Avg payout per supplier</td><td>M ${fmtMoney(cur.avgPerSupplier)}</td><td>${hasPrev ? `M ${fmtMoney(prev.avgPerSupplier)}` : "—"}</td><td>${fmtDelta(cur.avgPerSupplier, prev.avgPerSupplier, "money", hasPrev)}</td></tr>
+        <tr><td>Bank share</td><td>${cur.bankShare.toFixed(1)}%</td><td>${hasPrev ? `${prev.bankShare.toFixed(1)}%` : "—"}</td><td>${fmtDelta(cur.bankShare, prev.bankShare, "share", hasPrev)}</td></tr>
+      </tbody>
+    </table>
+
+    <h3>3. Top ${top.length} suppliers</h3>
+    <table>
+      <thead><tr><th>#</th><th>Supplier</th><th>Amount</th><th>Share</th></tr></thead>
+      <tbody>
+        ${top.map((t, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td>${t.name}</td>
+            <td>M ${fmtMoney(t.total)}</td>
+            <td>${cur.total ? ((t.total / cur.total) * 100).toFixed(1) : "0.0"}%</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+
+    <h3>4. Exceptions</h3>
+    <table>
+      <tbody>
+        <tr><td>Payout anomalies (unusual vs supplier history)</td><td>${anomalies.length}</td></tr>
+        <tr><td>Duplicate supplier entries in the period</td><td>${duplicates.length}</td></tr>
+        <tr><td>Paid suppliers missing from banking-details.csv</td><td>${orphans.length}</td></tr>
+        <tr class="total"><td>Total exceptions</td><td>${exceptionCount}</td></tr>
+      </tbody>
+    </table>
+
+    <h3>5. Bank vs MoMo — last ${REPORT_TREND_MONTHS} months</h3>
+    <table>
+      <thead><tr><th>Period</th><th>Bank</th><th>MoMo</th><th>Total</th></tr></thead>
+      <tbody>
+        ${trendKeys.map(k => {
+          const t = trend.get(k) || { bank: 0, momo: 0 };
+          return `<tr><td>${periodLabelFromKey(k)}</td><td>M ${fmtMoney(t.bank)}</td><td>M ${fmtMoney(t.momo)}</td><td>M ${fmtMoney(t.bank + t.momo)}</td></tr>`;
+        }).join("")}
+      </tbody>
+    </table>
+
+    <div class="signatures">
+      <div><div class="sigLine"></div>Prepared by (name &amp; date)</div>
+      <div><div class="sigLine"></div>Treasurer (signature &amp; date)</div>
+    </div>
+  `;
+}
+
+function printMonthlyReport(key) {
+  const sheet = $("reportSheet");
+  if (!sheet || !Number.isFinite(key)) return;
+  sheet.innerHTML = buildMonthlyReportHtml(key);
+
+  document.body.classList.add("printing-report");
+  const done = () => {
+    document.body.classList.remove("printing-report");
+    window.removeEventListener("afterprint", done);
+  };
+  window.addEventListener("afterprint", done);
+  window.print();
+}
+
+// --- Data health (whole ledger, independent of filters)
+function findOrphanSuppliers(ledgerRows, bankingRows) {
+  const known = new Set(bankingRows.map(r => normName(r["COMPANY NAME"])).filter(Boolean));
+  const orphans = new Map(); // normalized name -> { name, rows, total }
+  for (const r of ledgerRows) {
+    const k = normName(r["COMPANY NAME"]);
+    if (known.has(k)) continue;
+    if (!orphans.has(k)) orphans.set(k, { name: clean(r["COMPANY NAME"]), rows: 0, total: 0 });
+    const o = orphans.get(k);
+    o.rows++;
+    o.total += Number(r.AMOUNT) || 0;
+  }
+  return [...orphans.values()].sort((a, b) => b.total - a.total);
+}
+
+function findDuplicateEntries(ledgerRows) {
+  const groups = new Map(); // supplier|period -> rows
+  for (const r of ledgerRows) {
+    const k = periodKeyOf(r);
+    if (!Number.isFinite(k)) continue;
+    const id = `${normName(r["COMPANY NAME"])}|${k}`;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(r);
+  }
+  return [...groups.values()].filter(g => g.length > 1).map(g => ({
+    name: clean(g[0]["COMPANY NAME"]),
+    period: clean(g[0].PERIOD),
+    count: g.length,
+    total: g.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0)
+  }));
+}
+
+function renderDataHealth(report, bankingRows, ledgerRows) {
+  const orphans = findOrphanSuppliers(ledgerRows, bankingRows);
+  const duplicates = findDuplicateEntries(ledgerRows);
+
+  const setCount = (id, label, n) => {
+    const el = $(id);
+    if (!el) return;
+    el.textContent = `${label}: ${n}`;
+    el.classList.toggle("red", n > 0);
+    el.classList.toggle("green", n === 0);
+  };
+  setCount("dqDropped", "Dropped rows", report.dropped.length);
+  setCount("dqBadPeriod", "Unparseable periods", report.badPeriod.length);
+  setCount("dqBadStatus", "Unknown statuses", report.badStatus.length);
+  setCount("dqOrphans", "Not in banking-details", orphans.length);
+  setCount("dqDuplicates", "Duplicate supplier+period", duplicates.length);
+
+  const issues = [
+    ...report.dropped.map(d => ({
+      type: "Dropped", row: d.rowNumber, supplier: d.company, period: d.period, amount: d.amount, detail: d.issue
+    })),
+    ...report.badPeriod.map(d => ({
+      type: "Unparseable period", row: d.rowNumber, supplier: d.company, period: d.period, amount: d.amount, detail: d.issue
+    })),
+    ...report.badStatus.map(d => ({
+      type: "Unknown status", row: d.rowNumber, supplier: d.company, period: d.period, amount: d.amount, detail: d.issue
+    })),
+    ...orphans.map(o => ({
+      type: "Not in banking-details", row: "", supplier: o.name, period: "", amount: money(o.total),
+      detail: `${o.rows} ledger row(s); name not found in ${BANKING_DETAILS_URL}`
+    })),
+    ...duplicates.map(d => ({
+      type: "Duplicate", row: "", supplier: d.name, period: d.period, amount: money(d.total),
+      detail: `${d.count} rows for the same supplier and period`
+    }))
+  ];
+
+  const note = $("dqNote");
+  if (note) {
+    note.textContent = issues.length
+      ? `${issues.length} issue(s) found in ${LEDGER_URL}. KPIs exclude dropped rows; unparseable periods count in totals but not on period charts; ` +
+        "unknown statuses count in totals but in no Paid/Pending/Failed/Reversed figure."
+      : "No issues found. Every ledger row is counted and every supplier is in the master list.";
+  }
+
+  const tbody = document.querySelector("#dqTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  issues.forEach(i => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><span class="badge red">${i.type}</span></td>
+      <td>${i.row}</td>
+      <td>${escapeHtml(i.supplier) || "—"}</td>
+      <td>${escapeHtml(i.period) || "—"}</td>
+      <td>${escapeHtml(i.amount) || "—"}</td>
+      <td>${escapeHtml(i.detail)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+// --- Supplier lifecycle (new / active / returning / dormant / churned per period)
+const LIFECYCLE_STATUSES = ["NEW", "ACTIVE", "RETURNING", "DORMANT", "CHURNED"];
+
+// dormantAfter/churnAfter: consecutive unpaid months before a supplier counts as dormant / churned.
+// Suppliers who have missed fewer than dormantAfter months are not classified for that period.
+function buildLifecycle(rows, dormantAfter, churnAfter) {
+  const suppliers = new Map(); // normalized name -> { name, paid: Map(period key -> amount) }
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    const name = normName(r["COMPANY NAME"]);
+    if (!Number.isFinite(k) || !name) continue;
+    if (!suppliers.has(name)) suppliers.set(name, { name: clean(r["COMPANY NAME"]), paid: new Map() });
+    const paid = suppliers.get(name).paid;
+    paid.set(k, (paid.get(k) || 0) + (Number(r.AMOUNT) || 0));
+  }
+
+  const byPeriod = new Map(); // period key -> { NEW: [], ACTIVE: [], ... }
+  const ensure = (k) => {
+    if (!byPeriod.has(k)) byPeriod.set(k, Object.fromEntries(LIFECYCLE_STATUSES.map(st => [st, []])));
+    return byPeriod.get(k);
+  };
+
+  for (const s of suppliers.values()) {
+    const keys = [...s.paid.keys()].sort((a, b) => a - b);
+    let lastPaid = NaN;
+    for (let k = keys[0]; k <= ledgerMaxKey; k++) {
+      let status = "";
+      if (s.paid.has(k)) {
+        if (k === keys[0]) status = "NEW";
+        else status = s.paid.has(k - 1) ? "ACTIVE" : "RETURNING";
+        lastPaid = k;
+      } else {
+        const gap = k - lastPaid;
+        if (gap >= churnAfter) status = "CHURNED";
+        else if (gap >= dormantAfter) status = "DORMANT";
+      }
+      if (status) {
+        ensure(k)[status].push({
+          name: s.name,
+          lastPaid,
+          monthsSince: k - lastPaid,
+          lastAmount: s.paid.get(lastPaid) || 0,
+          lifetime: [...s.paid.values()].reduce((a, v) => a + v, 0)
+        });
+      }
+    }
+  }
+
+  return byPeriod;
+}
+
+function renderLifecycle(axis) {
+  const dormantAfter = Math.max(1, Number($("dormantMonths")?.value) || 2);
+  const churnAfter = Math.max(dormantAfter + 1, Number($("churnMonths")?.value) || 6);
+  const byPeriod = buildLifecycle(ledger, dormantAfter, churnAfter);
+
+  const count = (k, st) => byPeriod.get(k)?.[st].length || 0;
+  const labels = axis.map(periodLabelFromKey);
+
+  const el = $("lifecycleChart");
+  if (el && typeof Chart !== "undefined") {
+    if (lifecycleChartInstance) lifecycleChartInstance.destroy();
+    lifecycleChartInstance = new Chart(el, {
+      data: {
+        labels,
+        datasets: [
+          { type: "bar", label: "New", data: axis.map(k => count(k, "NEW")), stack: "paid" },
+          { type: "bar", label: "Active", data: axis.map(k => count(k, "ACTIVE")), stack: "paid" },
+          { type: "bar", label: "Returning", data: axis.map(k => count(k, "RETURNING")), stack: "paid" },
+          { type: "line", label: `Dormant (${dormantAfter}+ months)`, data: axis.map(k => count(k, "DORMANT")) },
+          { type: "line", label: `Churned (${churnAfter}+ months)`, data: axis.map(k => count(k, "CHURNED")) }
+        ]
+      },
+      options: {
+        responsive: true,
+        plugins: { legend: { display: true } },
+        scales: { x: { stacked: true }, y: { stacked: false, beginAtZero: true, ticks: { precision: 0 } } }
+      }
+    });
+  }
+
+  // Drop-off list as of the last period in the selection
+  const asOf = axis[axis.length - 1];
+  const note = $("lifecycleAsOf");
+  const tbody = document.querySelector("#dropOffTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  if (!Number.isFinite(asOf)) {
+    if (note) note.textContent = "No periods in the current selection.";
+    return;
+  }
+
+  if (note) {
+    note.textContent =
+      `${periodLabelFromKey(asOf)}: ${count(asOf, "NEW")} new · ${count(asOf, "ACTIVE")} active · ` +
+      `${count(asOf, "RETURNING")} returning · ${count(asOf, "DORMANT")} dormant · ${count(asOf, "CHURNED")} churned`;
+  }
+
+  const dropped = [...(byPeriod.get(asOf)?.DORMANT || []), ...(byPeriod.get(asOf)?.CHURNED || [])]
+    .sort((a, b) => (a.monthsSince - b.monthsSince) || (b.lifetime - a.lifetime));
+
+  if (!dropped.length) {
+    tbody.innerHTML = `<tr><td colspan="5" class="muted">No dormant or churned suppliers as of ${periodLabelFromKey(asOf)}.</td></tr>`;
+    return;
+  }
+
+  dropped.forEach(d => {
+    const tr = document.createElement("tr");
+    const churned = d.monthsSince >= churnAfter;
+    tr.innerHTML = `
+      <td>${d.name}</td>
+      <td>${periodLabelFromKey(d.lastPaid)}</td>
+      <td><span class="badge ${churned ? "red" : ""}">${d.monthsSince} month(s) · ${churned ? "Churned" : "Dormant"}</span></td>
+      <td>M ${fmtMoney(d.lastAmount)}</td>
+      <td>M ${fmtMoney(d.lifetime)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+// --- Payout anomalies (each payout vs that supplier's own earlier months; rules in assets/anomaly.js)
+function groupBySupplier(rows) {
+  const map = new Map(); // normalized name -> ledger rows
+  rows.forEach(r => {
+    const k = normName(r["COMPANY NAME"]);
+    if (!k) return;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(r);
+  });
+  return map;
+}
+
+function findAnomalies(rows, historyBySupplier, opts) {
+  const out = [];
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    const history = historyBySupplier.get(normName(r["COMPANY NAME"])) || [];
+
+    // Baseline = per-month totals strictly before this payout's period
+    const prior = new Map();
+    for (const h of history) {
+      const hk = periodKeyOf(h);
+      if (!Number.isFinite(hk) || !(hk < k)) continue;
+      prior.set(hk, (prior.get(hk) || 0) + (Number(h.AMOUNT) || 0));
+    }
+
+    const hit = payoutAnomaly(Number(r.AMOUNT) || 0, [...prior.values()], opts);
+    if (hit) out.push({ row: r, ...hit });
+  }
+  return out.sort((a, b) => (periodKeyOf(b.row) || 0) - (periodKeyOf(a.row) || 0)
+    || Math.abs(b.score || 0) - Math.abs(a.score || 0));
+}
+
+// --- Outstanding payables (exceptions carried forward until a later batch pays them)
+function normalizeOutstandingRows(rows) {
+  return (rows || [])
+    .map(r => ({
+      company: clean(r["COMPANY NAME"]),
+      amount: Number(clean(r["AMOUNT"]).replace(/,/g, "")),
+      mode: clean(r["MODE"]).toUpperCase(),
+      period: clean(r["PERIOD"]) || `${clean(r["MONTH"])} ${clean(r["YEAR"])}`.trim(),
+      key: periodKeyOf(r),
+      issue: clean(r["ISSUE"]),
+      status: clean(r["STATUS"]).toUpperCase() === "SETTLED" ? "SETTLED" : "OUTSTANDING"
+    }))
+    .filter(r => r.company && Number.isFinite(r.amount));
+}
+
+function outstandingBySupplier(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    if (r.status !== "OUTSTANDING") continue;
+    const k = normName(r.company);
+    if (!map.has(k)) map.set(k, { name: r.company, items: [], total: 0, issues: new Set() });
+    const rec = map.get(k);
+    rec.items.push(r);
+    rec.total += r.amount;
+    if (r.issue) rec.issues.add(r.issue);
+  }
+  return [...map.values()]
+    .map(s => ({ ...s, items: s.items.sort((a, b) => (a.key || 0) - (b.key || 0)) }))
+    .sort((a, b) => b.total - a.total);
+}
+
+function renderOutstanding(rows) {
+  const tbody = document.querySelector("#outstandingTable tbody");
+  if (!tbody) return;
+
+  const suppliers = outstandingBySupplier(rows);
+  const total = suppliers.reduce((a, s) => a + s.total, 0);
+  const settled = rows.filter(r => r.status === "SETTLED").length;
+  if ($("outstandingSummary")) {
+    $("outstandingSummary").textContent = suppliers.length
+      ? `${suppliers.length} supplier(s) owed M ${fmtMoney(total)} in total. ${settled} earlier arrear(s) settled.`
+      : `Nothing outstanding. ${settled} earlier arrear(s) settled.`;
+  }
+
+  tbody.innerHTML = "";
+  if (!suppliers.length) {
+    tbody.innerHTML = `<tr><td colspan="5" class="muted">No outstanding payables.</td></tr>`;
+    return;
+  }
+
+  suppliers.forEach(s => {
+    const tr = document.createElement("tr");
+    tr.classList.add("row-missing");
+    tr.innerHTML = `
+      <td>${s.name}</td>
+      <td>${s.items.map(i => `${i.period} (${i.mode})`).join(", ")}</td>
+      <td>${Number.isFinite(s.items[0].key) ? periodLabelFromKey(s.items[0].key) : s.items[0].period}</td>
+      <td>M ${fmtMoney(s.total)}</td>
+      <td>${[...s.issues].join("; ")}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  const tr = document.createElement("tr");
+  tr.classList.add("total");
+  tr.innerHTML = `<td>Total</td><td></td><td></td><td>M ${fmtMoney(total)}</td><td></td>`;
+  tbody.appendChild(tr);
+}
+
+function renderAnomalies(rows) {
+  const tbody = document.querySelector("#anomalyTable tbody");
+  if (!tbody) return;
+
+  const found = findAnomalies(rows, groupBySupplier(ledger), anomalyOptions());
+  if ($("anomalyCount")) {
+    $("anomalyCount").textContent = `${found.length} flagged payout(s) out of ${rows.length} in the current filters.`;
+  }
+
+  tbody.innerHTML = "";
+  if (!found.length) {
+    tbody.innerHTML = `<tr><td colspan="6" class="muted">No anomalies for the current filters.</td></tr>`;
+    return;
+  }
+
+  found.forEach(a => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${clean(a.row.PERIOD)}</td>
+      <td>${clean(a.row["COMPANY NAME"])}</td>
+      <td>M ${fmtMoney(Number(a.row.AMOUNT) || 0)}</td>
+      <td>${Number.isFinite(a.baseline) ? `M ${fmtMoney(a.baseline)}` : "—"}</td>
+      <td>${Number.isFinite(a.score) ? a.score.toFixed(1) : "—"}</td>
+      <td><span class="badge red">${a.reason}</span></td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+// --- Export (filtered ledger + aggregates)
+const LEDGER_HEADERS = [
+  "MONTH", "YEAR", "PERIOD", "COMPANY NAME", "AMOUNT", "MODE", "REFERENCE", "FEE",
+  "STATUS", "STATUS DATE", "BATCH ID"
+];
+const SUPPLIER_AGG_HEADERS = ["COMPANY NAME", "PERIODS PAID", "BANK", "MOMO", "TOTAL", "SHARE %"];
+const PERIOD_AGG_HEADERS = ["PERIOD", "MONTH", "YEAR", "SUPPLIERS", "BANK", "MOMO", "TOTAL", "FEES"];
+const INSTITUTION_AGG_HEADERS = ["MODE", "INSTITUTION", "SUPPLIERS", "PAYOUTS", "TOTAL"];
+
+function monthShort(monthName) {
+  const idx = monthIndex(monthName);
+  if (idx === -1) return clean(monthName).slice(0, 3).toLowerCase();
+  return MONTHS[idx].slice(0, 3).toLowerCase();
+}
+
+// e.g. "oct-2025-to-mar-2026-momo" or "all-periods"
+function filterSlug(f) {
+  const parts = [];
+  const keyPart = k => `${monthShort(MONTHS[k % 12])}-${Math.floor(k / 12)}`;
+  if (Number.isFinite(f.fromKey) || Number.isFinite(f.toKey)) {
+    const from = Number.isFinite(f.fromKey) ? keyPart(f.fromKey) : "start";
+    const to = Number.isFinite(f.toKey) ? keyPart(f.toKey) : "latest";
+    parts.push(from === to ? from : `${from}-to-${to}`);
+  }
+  if (f.month !== "ALL") parts.push(monthShort(f.month));
+  if (f.year !== "ALL") parts.push(String(f.year));
+  if (f.mode !== "ALL") parts.push(f.mode.toLowerCase());
+  if (f.status !== "ALL") parts.push(f.status.toLowerCase());
+  return parts.length ? parts.join("-") : "all-periods";
+}
+
+function aggregateBySupplier(rows) {
+  const total = rows.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  const map = new Map();
+  for (const r of rows) {
+    const k = normName(r["COMPANY NAME"]);
+    if (!k) continue;
+    if (!map.has(k)) map.set(k, { name: clean(r["COMPANY NAME"]), periods: new Set(), bank: 0, momo: 0, total: 0 });
+    const rec = map.get(k);
+    const amt = Number(r.AMOUNT) || 0;
+    const mode = clean(r.MODE).toUpperCase();
+    if (clean(r.PERIOD)) rec.periods.add(clean(r.PERIOD));
+    if (mode === "BANK") rec.bank += amt;
+    if (mode === "MOMO") rec.momo += amt;
+    rec.total += amt;
+  }
+  return [...map.values()]
+    .sort((a, b) => b.total - a.total)
+    .map(s => ({
+      "COMPANY NAME": s.name,
+      "PERIODS PAID": s.periods.size,
+      "BANK": money(s.bank),
+      "MOMO": money(s.momo),
+      "TOTAL": money(s.total),
+      "SHARE %": total ? ((s.total / total) * 100).toFixed(2) : "0.00"
+    }));
+}
+
+function aggregateByPeriod(rows, axis) {
+  const map = new Map(); // period key -> { suppliers, bank, momo, total }
+  const fees = feeTotalsByPeriod(rows);
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    if (!Number.isFinite(k)) continue;
+    if (!map.has(k)) map.set(k, { suppliers: new Set(), bank: 0, momo: 0, total: 0 });
+    const rec = map.get(k);
+    const amt = Number(r.AMOUNT) || 0;
+    const mode = clean(r.MODE).toUpperCase();
+    rec.suppliers.add(normName(r["COMPANY NAME"]));
+    if (mode === "BANK") rec.bank += amt;
+    if (mode === "MOMO") rec.momo += amt;
+    rec.total += amt;
+  }
+  return axis.map(k => {
+    const rec = map.get(k);
+    return {
+      "PERIOD": periodLabelFromKey(k),
+      "MONTH": MONTHS[k % 12],
+      "YEAR": String(Math.floor(k / 12)),
+      "SUPPLIERS": rec ? rec.suppliers.size : 0,
+      "BANK": money(rec?.bank || 0),
+      "MOMO": money(rec?.momo || 0),
+      "TOTAL": money(rec?.total || 0),
+      "FEES": money((fees.get(k)?.recorded || 0) + (fees.get(k)?.estimated || 0))
+    };
+  });
+}
+
+function exportFiltered(kind) {
+  const f = currentFilters();
+  const slug = filterSlug(f);
+  const ledgerRows = ledgerFiltered.map(r => ({ ...r, AMOUNT: money(r.AMOUNT), FEE: money(r.FEE) }));
+  const supplierRows = aggregateBySupplier(ledgerFiltered);
+  const periodRows = aggregateByPeriod(ledgerFiltered, buildPeriodAxis(f));
+
+  if (kind === "ledger") {
+    downloadText(`milco-ledger-${slug}.csv`, toCsv(ledgerRows, LEDGER_HEADERS));
+  } else if (kind === "suppliers") {
+    downloadText(`milco-by-supplier-${slug}.csv`, toCsv(supplierRows, SUPPLIER_AGG_HEADERS));
+  } else if (kind === "periods") {
+    downloadText(`milco-by-period-${slug}.csv`, toCsv(periodRows, PERIOD_AGG_HEADERS));
+  } else if (kind === "xlsx") {
+    if (typeof XLSX === "undefined") {
+      $("exportStatus").textContent = "XLSX library not loaded. Run via a local server.";
+      return;
+    }
+    const filterRows = [{ "FILTER": "Summary", "VALUE": $("filterSummary")?.textContent || "" }];
+    const institutionRows = aggregateByInstitution(ledgerFiltered).map(g => ({
+      "MODE": g.mode,
+      "INSTITUTION": g.institution,
+      "SUPPLIERS": g.suppliers.size,
+      "PAYOUTS": g.count,
+      "TOTAL": money(g.total)
+    }));
+    downloadWorkbook(`milco-dashboard-${slug}.xlsx`, [
+      { name: "LEDGER", rows: ledgerRows, headers: LEDGER_HEADERS },
+      { name: "BY SUPPLIER", rows: supplierRows, headers: SUPPLIER_AGG_HEADERS },
+      { name: "BY PERIOD", rows: periodRows, headers: PERIOD_AGG_HEADERS },
+      { name: "BY INSTITUTION", rows: institutionRows, headers: INSTITUTION_AGG_HEADERS },
+      { name: "FILTERS", rows: filterRows, headers: ["FILTER", "VALUE"] }
+    ]);
+  }
+
+  if ($("exportStatus")) $("exportStatus").textContent = `Exported ${ledgerRows.length} ledger row(s) for "${slug}".`;
+}
+
+// --- Transaction table (whole filtered ledger: sort, per-column text filter, paging)
+const TX_COLUMNS = [
+  { key: "PERIOD", text: r => clean(r.PERIOD) || `${clean(r.MONTH)} ${clean(r.YEAR)}`.trim(), sort: r => periodKeyOf(r) || 0 },
+  { key: "SUPPLIER", text: r => clean(r["COMPANY NAME"]), sort: r => normName(r["COMPANY NAME"]) },
+  { key: "AMOUNT", text: r => fmtMoney(Number(r.AMOUNT) || 0), sort: r => Number(r.AMOUNT) || 0 },
+  { key: "MODE", text: r => clean(r.MODE).toUpperCase(), sort: r => clean(r.MODE).toUpperCase() },
+  { key: "REFERENCE", text: r => clean(r.REFERENCE), sort: r => clean(r.REFERENCE).toUpperCase() },
+  { key: "STATUS", text: r => r.STATUS, sort: r => r.STATUS }
+];
+
+const txState = {
+  sortKey: "PERIOD",
+  sortDir: "desc",
+  page: 1,
+  pageSize: 25, // 0 = all rows
+  filters: {}
+};
+
+function setupTxTable() {
+  const table = $("txTable");
+  if (!table) return;
+
+  table.querySelectorAll("th[data-sort]").forEach(th => {
+    th.addEventListener("click", () => {
+      const key = th.dataset.sort;
+      if (txState.sortKey === key) {
+        txState.sortDir = txState.sortDir === "asc" ? "desc" : "asc";
+      } else {
+        txState.sortKey = key;
+        txState.sortDir = key === "AMOUNT" || key === "PERIOD" ? "desc" : "asc";
+      }
+      renderTxTable(ledgerFiltered);
+    });
+  });
+
+  table.querySelectorAll("input[data-filter]").forEach(input => {
+    input.addEventListener("input", () => {
+      txState.filters[input.dataset.filter] = clean(input.value).toUpperCase();
+      txState.page = 1;
+      renderTxTable(ledgerFiltered);
+    });
+  });
+
+  $("txPageSize")?.addEventListener("change", () => {
+    txState.pageSize = Number($("txPageSize").value) || 0;
+    txState.page = 1;
+    renderTxTable(ledgerFiltered);
+  });
+  $("txPrev")?.addEventListener("click", () => { txState.page--; renderTxTable(ledgerFiltered); });
+  $("txNext")?.addEventListener("click", () => { txState.page++; renderTxTable(ledgerFiltered); });
+}
+
+function renderTxTable(rows) {
+  const tbody = document.querySelector("#txTable tbody");
+  if (!tbody) return;
+
+  const matching = rows.filter(r => TX_COLUMNS.every(c => {
+    const q = txState.filters[c.key];
+    return !q || c.text(r).toUpperCase().includes(q);
+  }));
+
+  const col = TX_COLUMNS.find(c => c.key === txState.sortKey) || TX_COLUMNS[0];
+  const dir = txState.sortDir === "asc" ? 1 : -1;
+  const sorted = [...matching].sort((a, b) => {
+    const va = col.sort(a), vb = col.sort(b);
+    if (va < vb) return -1 * dir;
+    if (va > vb) return 1 * dir;
+    return 0;
+  });
+
+  const pageSize = txState.pageSize || sorted.length || 1;
+  const pages = Math.max(1, Math.ceil(sorted.length / pageSize));
+  txState.page = Math.min(Math.max(1, txState.page), pages);
+  const start = (txState.page - 1) * pageSize;
+  const visible = sorted.slice(start, start + pageSize);
+
+  tbody.innerHTML = "";
+
+  visible.forEach(r => {
+    const tr = document.createElement("tr");
+    const period = clean(r.PERIOD) || `${clean(r.MONTH)} ${clean(r.YEAR)}`.trim();
+    const supplier = clean(r["COMPANY NAME"]);
+    const amount = Number(r.AMOUNT) || 0;
+
+    const mode = clean(r.MODE).toUpperCase();
+    const badgeClass = mode === "BANK" ? "red" : (mode === "MOMO" ? "green" : "");
+    const reference = clean(r.REFERENCE);
+    const statusClass = r.STATUS === "PAID" ? "green" : (r.STATUS === "PENDING" ? "" : "red");
+    const statusTitle = [r["STATUS DATE"], r["BATCH ID"]].filter(Boolean).join(" · ");
+
+    tr.innerHTML = `
+      <td>${period}</td>
+      <td>${supplier}</td>
+      <td>M ${fmtMoney(amount)}</td>
+      <td><span class="badge ${badgeClass}">${mode || "—"}</span></td>
+      <td>${reference}</td>
+      <td><span class="badge ${statusClass}" title="${statusTitle}">${escapeHtml(r.STATUS)}</span></td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  // Sort indicators
+  document.querySelectorAll("#txTable th[data-sort]").forEach(th => {
+    const arrow = th.dataset.sort === txState.sortKey ? (txState.sortDir === "asc" ? " ▲" : " ▼") : "";
+    th.textContent = th.dataset.label + arrow;
+  });
+
+  const pageSum = visible.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  const matchSum = matching.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+  const foot = $("txFooter");
+  if (foot) {
+    foot.textContent = sorted.length
+      ? `Showing ${start + 1}–${start + visible.length} of ${sorted.length} row(s) · ` +
+        `Visible sum: M ${fmtMoney(pageSum)} · All matching rows: M ${fmtMoney(matchSum)}`
+      : "No rows match.";
+  }
+  if ($("txPageInfo")) $("txPageInfo").textContent = `Page ${txState.page} of ${pages}`;
+  if ($("txPrev")) $("txPrev").disabled = txState.page <= 1;
+  if ($("txNext")) $("txNext").disabled = txState.page >= pages;
+
+  writeUrlState();
+}
+
+// --- Fuzzy supplier matching (token + edit distance), scores are 0..1
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 0;
+}
+
+function tokenize(s) {
+  return normName(s).split(/[^A-Z0-9]+/).filter(Boolean);
+}
+
+function fuzzyScore(query, text) {
+  const q = normName(query);
+  const t = normName(text);
+  if (!q || !t) return 0;
+  if (t === q) return 1;
+  if (t.startsWith(q)) return 0.95;
+  if (t.includes(q)) return 0.85;
+
+  // Every query token scored against its best supplier token (prefix hits count as near-exact)
+  const qTokens = tokenize(q);
+  const tTokens = tokenize(t);
+  if (!qTokens.length || !tTokens.length) return 0;
+  const tokenAvg = qTokens.reduce((acc, qt) => {
+    const best = Math.max(...tTokens.map(tt => (tt.startsWith(qt) ? 0.9 : similarity(qt, tt))));
+    return acc + best;
+  }, 0) / qTokens.length;
+
+  return Math.max(tokenAvg * 0.9, similarity(q, t) * 0.8);
+}
+
+function digitsOnly(s) {
+  return clean(s).replace(/\D/g, "");
+}
+
+const SEARCH_MIN_SCORE = 0.55;
+const SEARCH_MAX_CANDIDATES = 8;
+
+function rankSuppliers(query, candidates) {
+  const qDigits = digitsOnly(query);
+  const numericQuery = qDigits.length >= 3 && qDigits.length === query.replace(/[\s/+-]/g, "").length;
+
+  const scored = [];
+  for (const c of candidates) {
+    let score = 0;
+    let field = "";
+
+    const nameScore = fuzzyScore(query, c.name);
+    if (nameScore > score) { score = nameScore; field = "Company"; }
+
+    const momoNameScore = fuzzyScore(query, c.momoNames) * 0.9;
+    if (momoNameScore > score) { score = momoNameScore; field = "MoMo names"; }
+
+    if (numericQuery && c.momoNumberDigits.includes(qDigits)) {
+      const numberScore = c.momoNumberDigits.startsWith(qDigits) ? 0.95 : 0.85;
+      if (numberScore > score) { score = numberScore; field = "MoMo number"; }
+    }
+
+    if (score >= SEARCH_MIN_SCORE) scored.push({ ...c, score, field });
+  }
+
+  scored.sort((a, b) => (b.score - a.score) || a.name.localeCompare(b.name));
+  return scored.slice(0, SEARCH_MAX_CANDIDATES);
+}
+
+function setupSupplierSearch(bankingRows, ledgerRows) {
+  const input = $("supplierSearch");
+  const out = $("supplierResult");
+  const list = $("supplierSuggest");
+  if (!input || !out) return;
+
+  let supplierIndex = new Map();
+  let candidates = [];
+  let ledgerBySupplier = new Map();
+
+  function index(bankingList, ledgerList) {
+    supplierIndex = new Map();
+    bankingList.forEach(r => supplierIndex.set(normName(r["COMPANY NAME"]), r));
+
+    candidates = [...supplierIndex.entries()]
+      .filter(([k]) => k)
+      .map(([key, r]) => ({
+        key,
+        name: clean(r["COMPANY NAME"]),
+        momoNames: clean(r["MOMO NAMES"]),
+        momoNumberDigits: digitsOnly(r["MOMO NUMBER"])
+      }));
+
+    ledgerBySupplier = groupBySupplier(ledgerList);
+  }
+  index(bankingRows, ledgerRows);
+
+  let matches = [];
+  let active = -1;
+
+  function closeList() {
+    matches = [];
+    active = -1;
+    if (list) { list.innerHTML = ""; list.style.display = "none"; }
+  }
+
+  function renderList() {
+    if (!list) return;
+    if (!matches.length) { closeList(); return; }
+    list.innerHTML = "";
+    matches.forEach((m, i) => {
+      const li = document.createElement("li");
+      li.className = i === active ? "active" : "";
+      li.innerHTML = `
+        <span>${m.name}${m.field !== "Company" ? ` <span class="muted small">· ${m.field}</span>` : ""}</span>
+        <span class="muted small">${Math.round(m.score * 100)}%</span>
+      `;
+      // mousedown (not click) so the input does not blur first
+      li.addEventListener("mousedown", (e) => { e.preventDefault(); select(i); });
+      list.appendChild(li);
+    });
+    list.style.display = "block";
+  }
+
+  function select(i) {
+    const m = matches[i];
+    if (!m) return;
+    input.value = m.name;
+    closeList();
+    showSupplier(m.key);
+  }
+
+  function showSupplier(matchKey) {
+    const s = supplierIndex.get(matchKey);
+    const history = ledgerBySupplier.get(matchKey) || [];
+    selectedSupplier = clean(s["COMPANY NAME"]);
+    writeUrlState();
+    const total = history.reduce((a, r) => a + (Number(r.AMOUNT) || 0), 0);
+
+    const supplierModeTotals = history.reduce((acc, r) => {
+      const m = clean(r.MODE).toUpperCase() || "UNKNOWN";
+      acc[m] = (acc[m] || 0) + (Number(r.AMOUNT) || 0);
+      return acc;
+    }, {});
+
+    out.innerHTML = `
+      <div><b>${clean(s["COMPANY NAME"])}</b></div>
+
+      <div class="muted small" style="margin-top:6px;">
+        <span class="badge red">Bank</span>
+        ${clean(s["BANK"]) || "—"} · Acc: ${clean(s["ACCOUNT"]) || "—"} · Branch: ${clean(s["BRANCH"]) || "—"}
+      </div>
+
+      <div class="muted small" style="margin-top:6px;">
+        <span class="badge green">MoMo</span>
+        ${clean(s["MOMO"]) || "—"} · No: ${clean(s["MOMO NUMBER"]) || "—"} · Names: ${clean(s["MOMO NAMES"]) || "—"}
+      </div>
+
+      <div style="margin-top:10px;">
+        <b>Total payouts:</b> M ${fmtMoney(total)}
+        <span class="muted small">(${history.length} month entries)</span>
+      </div>
+
+      <div class="muted small" style="margin-top:6px;">
+        Bank: M ${fmtMoney(supplierModeTotals.BANK || 0)} · MoMo: M ${fmtMoney(supplierModeTotals.MOMO || 0)}
+      </div>
+    `;
+
+    renderSupplierDetail(history);
+  }
+
+  function clearSelection() {
+    selectedSupplier = "";
+    writeUrlState();
+    renderSupplierDetail([]);
+  }
+
+  input.addEventListener("input", () => {
+    const q = clean(input.value);
+    if (!q) { closeList(); out.innerHTML = ""; clearSelection(); return; }
+
+    matches = rankSuppliers(q, candidates);
+    active = matches.length ? 0 : -1;
+
+    if (!matches.length) {
+      closeList();
+      out.innerHTML = "<span class='muted'>No match in supplier master list.</span>";
+      clearSelection();
+      return;
+    }
+
+    // An exact company name needs no extra pick from the list
+    if (matches[0].score === 1 && matches[0].field === "Company") {
+      closeList();
+      showSupplier(matches[0].key);
+      return;
+    }
+
+    out.innerHTML = `<span class='muted'>${matches.length} candidate(s) — pick one from the list (↑/↓, Enter).</span>`;
+    renderList();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (!matches.length) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      active = (active + 1) % matches.length;
+      renderList();
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      active = (active - 1 + matches.length) % matches.length;
+      renderList();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      select(active === -1 ? 0 : active);
+    } else if (e.key === "Escape") {
+      closeList();
+    }
+  });
+
+  input.addEventListener("blur", closeList);
+
+  return {
+    // Used when restoring a shared link
+    showByName(name) {
+      const key = normName(name);
+      if (!supplierIndex.has(key)) return;
+      input.value = clean(supplierIndex.get(key)["COMPANY NAME"]);
+      showSupplier(key);
+    },
+    // Swap in another banking list / ledger (preview) and refresh the open supplier
+    reload(bankingList, ledgerList) {
+      index(bankingList, ledgerList);
+      const key = normName(selectedSupplier);
+      if (key && supplierIndex.has(key)) showSupplier(key);
+      else if (key) { out.innerHTML = "<span class='muted'>Supplier not in this banking list.</span>"; clearSelection(); }
+    }
+  };
+}
+
+// --- Preview: local, uncommitted ledger (and optional banking-details) shown in place of the published files
+let published = null; // { banking, ledger, report, outstanding } as loaded from data/
+let preview = null;   // { ledgerFile, bankingFile, outstandingFile, report } while a preview is shown
+
+function parseCsvFile(file) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (res) => resolve(res.data),
+      error: reject
+    });
+  });
+}
+
+// Ledger files have AMOUNT; banking-details files have ACCOUNT / MOMO NUMBER;
+// the outstanding-payables register also has AMOUNT, but with RAISED DATE
+// Bank / MoMo payment batches (NAME + AMOUNT, no COMPANY NAME) are recognised only to be turned away
+function csvKind(rows) {
+  const cols = Object.keys(rows[0] || {}).map(normName);
+  const has = (...names) => names.every(n => cols.includes(n));
+  if (cols.includes("RAISED DATE")) return "outstanding";
+  if (has("NAME", "AMOUNT") && !cols.includes("COMPANY NAME")) return "batch";
+  if (has("COMPANY NAME", "AMOUNT", "MONTH", "YEAR")) return "ledger";
+  if (cols.includes("COMPANY NAME") && (cols.includes("ACCOUNT") || cols.includes("MOMO NUMBER"))) return "banking";
+  return "";
+}
+
+// Re-render every panel from another banking list / ledger, keeping the current filters where they still apply
+function useDataset(bankingRows, ledgerRows, report, outstandingRows) {
+  const keep = {
+    preset: $("filterPreset")?.value,
+    from: $("filterFrom")?.value,
+    to: $("filterTo")?.value,
+    year: $("filterYear")?.value,
+    month: $("filterMonth")?.value
+  };
+
+  banking = bankingRows;
+  ledger = ledgerRows;
+  bankingByName = new Map(banking.map(b => [normName(b["COMPANY NAME"]), b]));
+  renderDataHealth(report, banking, ledger);
+  populateFilterOptions(ledger);
+  outstanding = outstandingRows;
+  renderOutstanding(outstanding);
+
+  const range = presetRange(keep.preset);
+  setSelectValue($("filterPreset"), keep.preset);
+  setSelectValue($("filterFrom"), range ? range.from : keep.from);
+  setSelectValue($("filterTo"), range ? range.to : keep.to);
+  setSelectValue($("filterYear"), keep.year);
+  setSelectValue($("filterMonth"), keep.month);
+
+  applyFiltersAndRender();
+  supplierSearch?.reload(banking, ledger);
+  renderPreviewDiff();
+}
+
+async function loadPreviewFiles(fileList) {
+  const status = $("previewStatus");
+  const files = [...(fileList || [])].filter(f => /\.csv$/i.test(f.name));
+  if (!files.length) {
+    status.textContent = "Drop a transactions-*.csv (and optionally a banking-details CSV).";
+    return;
+  }
+
+  let ledgerFile = null, ledgerRows = null, bankingFile = null, bankingRows = null;
+  let outstandingFile = null, outstandingRows = null;
+  const batchFiles = [];
+  for (const f of files) {
+    const rows = await parseCsvFile(f);
+    const kind = csvKind(rows);
+    if (kind === "ledger") { ledgerFile = f.name; ledgerRows = rows; }
+    else if (kind === "banking") { bankingFile = f.name; bankingRows = rows; }
+    else if (kind === "outstanding") { outstandingFile = f.name; outstandingRows = rows; }
+    else if (kind === "batch") batchFiles.push(f.name);
+  }
+
+  const batchNote = batchFiles.length
+    ? `${batchFiles.join(", ")} ${batchFiles.length > 1 ? "are payment batches" : "is a payment batch"}, not a ledger: ` +
+      `drop the transactions-*.csv from the same run instead. `
+    : "";
+  if (!ledgerRows && !bankingRows && !outstandingRows) {
+    status.textContent = batchNote ||
+      "Not recognised: a ledger needs COMPANY NAME, AMOUNT, MONTH and YEAR columns, " +
+      "banking details COMPANY NAME with ACCOUNT or MOMO NUMBER.";
+    return;
+  }
+
+  // A banking file alone previews the published ledger against new details (and the other way round)
+  const report = { dropped: [], badPeriod: [], badStatus: [] };
+  const nextLedger = ledgerRows
+    ? normalizeLedgerRows(ledgerRows, report)
+    : (preview?.ledgerFile ? ledger : published.ledger);
+  const nextBanking = bankingRows || (preview?.bankingFile ? banking : published.banking);
+  const nextReport = ledgerRows ? report : (preview?.ledgerFile ? preview.report : published.report);
+  const nextOutstanding = outstandingRows
+    ? normalizeOutstandingRows(outstandingRows)
+    : (preview?.outstandingFile ? outstanding : published.outstanding);
+
+  preview = {
+    ledgerFile: ledgerFile || preview?.ledgerFile || "",
+    bankingFile: bankingFile || preview?.bankingFile || "",
+    outstandingFile: outstandingFile || preview?.outstandingFile || "",
+    report: nextReport
+  };
+  status.textContent = batchNote;
+  renderPreviewBanner();
+  useDataset(nextBanking, nextLedger, nextReport, nextOutstanding);
+}
+
+function exitPreview() {
+  preview = null;
+  if ($("previewDiffToggle")) $("previewDiffToggle").checked = false;
+  renderPreviewBanner();
+  useDataset(published.banking, published.ledger, published.report, published.outstanding);
+}
+
+function renderPreviewBanner() {
+  const banner = $("previewBanner");
+  if (!banner) return;
+  document.body.classList.toggle("previewing", !!preview);
+  if (!preview) { banner.style.display = "none"; return; }
+
+  const parts = [];
+  // File names come from the user's computer: escape them
+  if (preview.ledgerFile) parts.push(`ledger <b>${escapeHtml(preview.ledgerFile)}</b>`);
+  if (preview.bankingFile) parts.push(`banking details <b>${escapeHtml(preview.bankingFile)}</b>`);
+  if (preview.outstandingFile) parts.push(`outstanding payables <b>${escapeHtml(preview.outstandingFile)}</b>`);
+  $("previewLabel").innerHTML =
+    `<b>PREVIEW — not published.</b> Showing ${parts.join(" and ")} from this computer. ` +
+    `Nothing is saved; commit the file to <code>data/</code> to publish it.`;
+  banner.style.display = "block";
+}
+
+// Supplier + period is the ledger's natural key (amounts summed in case of duplicates)
+function ledgerIndex(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    const k = periodKeyOf(r);
+    const key = `${normName(r["COMPANY NAME"])}|${Number.isFinite(k) ? k : clean(r.PERIOD)}`;
+    if (!map.has(key)) map.set(key, { name: clean(r["COMPANY NAME"]), period: clean(r.PERIOD), key: k, amount: 0, modes: new Set() });
+    const rec = map.get(key);
+    rec.amount += Number(r.AMOUNT) || 0;
+    rec.modes.add(clean(r.MODE).toUpperCase());
+  }
+  return map;
+}
+
+function diffLedgers(publishedRows, previewRows) {
+  const before = ledgerIndex(publishedRows);
+  const after = ledgerIndex(previewRows);
+  const out = [];
+
+  for (const [k, a] of after) {
+    const b = before.get(k);
+    const modeA = [...a.modes].join("/");
+    if (!b) {
+      out.push({ change: "ADDED", ...a, mode: modeA, before: 0, after: a.amount });
+      continue;
+    }
+    const modeB = [...b.modes].join("/");
+    if (Math.abs(a.amount - b.amount) >= 0.005 || modeA !== modeB) {
+      out.push({ change: "CHANGED", ...a, mode: modeB === modeA ? modeA : `${modeB} → ${modeA}`, before: b.amount, after: a.amount });
+    }
+  }
+  for (const [k, b] of before) {
+    if (!after.has(k)) out.push({ change: "REMOVED", ...b, mode: [...b.modes].join("/"), before: b.amount, after: 0 });
+  }
+
+  return out.sort((x, y) => (y.key || 0) - (x.key || 0) || x.name.localeCompare(y.name));
+}
+
+function renderPreviewDiff() {
+  const box = $("previewDiff");
+  if (!box) return;
+  const on = !!preview && !!$("previewDiffToggle")?.checked;
+  box.style.display = on ? "block" : "none";
+  if (!on) return;
+
+  const diff = diffLedgers(published.ledger, ledger);
+  const count = (c) => diff.filter(d => d.change === c).length;
+  const net = diff.reduce((a, d) => a + d.after - d.before, 0);
+
+  $("previewDiffSummary").innerHTML = diff.length
+    ? `<span class="badge green">Added: ${count("ADDED")}</span>
+       <span class="badge">Changed: ${count("CHANGED")}</span>
+       <span class="badge red">Removed: ${count("REMOVED")}</span>
+       <span class="badge">Net change: M ${fmtMoney(net)}</span>`
+    : "<span class='muted'>The preview ledger matches the published ledger.</span>";
+
+  const tbody = document.querySelector("#previewDiffTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  for (const d of diff) {
+    const tr = document.createElement("tr");
+    if (d.change === "REMOVED") tr.classList.add("row-missing");
+    if (d.change === "ADDED") tr.classList.add("row-complete");
+    tr.innerHTML = `
+      <td>${d.change}</td>
+      <td>${d.period || "—"}</td>
+      <td>${d.name}</td>
+      <td>${d.mode}</td>
+      <td>M ${fmtMoney(d.before)}</td>
+      <td>M ${fmtMoney(d.after)}</td>
+      <td>${d.after - d.before >= 0 ? "+" : ""}${fmtMoney(d.after - d.before)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+function setupPreview() {
+  const drop = $("previewDrop");
+  const input = $("previewFile");
+  if (!drop || !input) return;
+
+  const load = (files) => loadPreviewFiles(files).catch(err => {
+    console.error(err);
+    $("previewStatus").textContent = `Could not read the file: ${err.message || err}`;
+  });
+
+  input.addEventListener("change", () => { load(input.files); input.value = ""; });
+  drop.addEventListener("click", () => input.click());
+  drop.addEventListener("dragover", (e) => { e.preventDefault(); drop.classList.add("dragover"); });
+  drop.addEventListener("dragleave", () => drop.classList.remove("dragover"));
+  drop.addEventListener("drop", (e) => {
+    e.preventDefault();
+    drop.classList.remove("dragover");
+    load(e.dataTransfer.files);
+  });
+
+  $("exitPreview")?.addEventListener("click", exitPreview);
+  $("previewDiffToggle")?.addEventListener("change", renderPreviewDiff);
+}
+
+// --- Supplier drill-down (monthly history chart, stats + every ledger row)
+function renderSupplierDetail(history) {
+  const panel = $("supplierDetail");
+  if (!panel) return;
+
+  if (!history.length) {
+    panel.style.display = "none";
+    if (supplierChartInstance) { supplierChartInstance.destroy(); supplierChartInstance = null; }
+    return;
+  }
+  panel.style.display = "block";
+
+  // Sum per period (a supplier can have more than one row in a month)
+  const byKey = new Map();
+  for (const r of history) {
+    const k = periodKeyOf(r);
+    if (!Number.isFinite(k)) continue;
+    if (!byKey.has(k)) byKey.set(k, { bank: 0, momo: 0, other: 0 });
+    const rec = byKey.get(k);
+    const amt = Number(r.AMOUNT) || 0;
+    const mode = clean(r.MODE).toUpperCase();
+    if (mode === "BANK") rec.bank += amt;
+    else if (mode === "MOMO") rec.momo += amt;
+    else rec.other += amt;
+  }
+
+  const keys = [...byKey.keys()].sort((a, b) => a - b);
+  // Only the months counted above: rows with no usable period would inflate the average
+  const total = [...byKey.values()].reduce((a, rec) => a + rec.bank + rec.momo + rec.other, 0);
+
+  if (keys.length) {
+    const first = keys[0];
+    const last = keys[keys.length - 1];
+    const span = last - first + 1;
+    $("sdFirst").textContent = periodLabelFromKey(first);
+    $("sdLast").textContent = periodLabelFromKey(last);
+    $("sdAvg").textContent = `M ${fmtMoney(total / keys.length)}`;
+    $("sdMissed").textContent = String(span - keys.length);
+  } else {
+    ["sdFirst", "sdLast", "sdAvg", "sdMissed"].forEach(id => { $(id).textContent = "—"; });
+  }
+
+  // Chart: every month between first and last payout, including months with nothing paid
+  const axis = keys.length ? periodKeysBetween(keys[0], keys[keys.length - 1]) : [];
+  const labels = axis.map(periodLabelFromKey);
+  const bankData = axis.map(k => byKey.get(k)?.bank || 0);
+  const momoData = axis.map(k => byKey.get(k)?.momo || 0);
+  const totalData = axis.map(k => {
+    const rec = byKey.get(k);
+    return rec ? rec.bank + rec.momo + rec.other : 0;
+  });
+
+  const el = $("supplierChart");
+  if (el && typeof Chart !== "undefined") {
+    if (supplierChartInstance) supplierChartInstance.destroy();
+    supplierChartInstance = new Chart(el, {
+      data: {
+        labels,
+        datasets: [
+          { type: "bar", label: "Bank", data: bankData, stack: "paid" },
+          { type: "bar", label: "MoMo", data: momoData, stack: "paid" },
+          { type: "line", label: "Total", data: totalData }
+        ]
+      },
+      options: {
+        responsive: true,
+        plugins: { legend: { display: true } },
+        scales: { x: { stacked: true }, y: { stacked: false, beginAtZero: true } }
+      }
+    });
+  }
+
+  const tbody = document.querySelector("#supplierTxTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  // Newest first, which is what the liaison is usually asked about
+  const rows = [...history].sort((a, b) => (periodKeyOf(b) || 0) - (periodKeyOf(a) || 0));
+  rows.forEach(r => {
+    const tr = document.createElement("tr");
+    const period = clean(r.PERIOD) || `${clean(r.MONTH)} ${clean(r.YEAR)}`.trim();
+    const mode = clean(r.MODE).toUpperCase();
+    const badgeClass = mode === "BANK" ? "red" : (mode === "MOMO" ? "green" : "");
+    tr.innerHTML = `
+      <td>${period}</td>
+      <td>M ${fmtMoney(Number(r.AMOUNT) || 0)}</td>
+      <td><span class="badge ${badgeClass}">${mode || "—"}</span></td>
+      <td>${clean(r.REFERENCE)}</td>
+    `;
+    tbody.appendChild(tr);
   });
 }
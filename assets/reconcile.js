@@ -0,0 +1,577 @@
+// assets/reconcile.js
+// MiLCo Admin — Payment Reconciliation
+// - Import bank / MoMo confirmation exports (CSV or XLSX)
+// - Match each confirmation to a ledger row by name, amount, account/number and reference
+// - Mark ledger rows PAID / FAILED / UNMATCHED / NEEDS REVIEW, list confirmations with no ledger row
+// - Export the full reconciliation and a discrepancies report (CSV)
+// - Export the ledger with STATUS / STATUS DATE updated from the confirmations
+
+const BANKING_DETAILS_URL = "data/banking-details.csv";
+const LEDGER_URL = "data/transactions.csv";
+
+const $ = (id) => document.getElementById(id);
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+const LEDGER_HEADERS = [
+  "MONTH", "YEAR", "PERIOD", "COMPANY NAME", "AMOUNT", "MODE", "REFERENCE", "FEE",
+  "STATUS", "STATUS DATE", "BATCH ID"
+];
+
+let ledgerRaw = [];       // ledger rows as read, written back with updated statuses
+let ledgerRows = [];      // normalized ledger (published or the chosen local file)
+let ledgerSource = "";
+let bankingByName = new Map();
+let lastResult = null;    // { rows, extras, periodLabel }
+
+function clean(s) {
+  return (s ?? "").toString().trim();
+}
+
+function escapeHtml(s) {
+  return clean(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function normName(s) {
+  return (s ?? "")
+    .toString()
+    .trim()
+    .replace(/\s+/g, " ")
+    .toUpperCase();
+}
+
+function normHeader(s) {
+  return clean(s).toUpperCase().replace(/[_\s]+/g, " ");
+}
+
+function digitsOnly(s) {
+  return clean(s).replace(/\D+/g, "");
+}
+
+function monthIndex(monthName) {
+  const m = clean(monthName);
+  return MONTHS.findIndex((x) => x.toUpperCase() === m.toUpperCase());
+}
+
+function monthShort(monthName) {
+  const idx = monthIndex(monthName);
+  if (idx === -1) return clean(monthName).slice(0, 3).toLowerCase();
+  return MONTHS[idx].slice(0, 3).toLowerCase();
+}
+
+function periodKeyOf(r) {
+  const y = Number(r["YEAR"]);
+  const m = monthIndex(r["MONTH"]);
+  if (!Number.isFinite(y) || !y || m === -1) return NaN;
+  return y * 12 + m;
+}
+
+function money(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x.toFixed(2) : "";
+}
+
+// tolerant numeric parsing for amounts like "1,200" or "M 1,200.50"
+function parseAmount(val) {
+  const s = clean(val);
+  if (!s) return NaN;
+  const cleaned = s.replace(/,/g, "").replace(/^(M|LSL)\s*/i, "");
+  return Number(cleaned);
+}
+
+function parseCsvUrl(url) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(url, {
+      download: true,
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (h) => clean(h),
+      complete: (res) => resolve(res.data),
+      error: reject
+    });
+  });
+}
+
+function toCsv(rows, headers) {
+  return Papa.unparse(rows, { columns: headers });
+}
+
+function downloadText(filename, content) {
+  const blob = new Blob([content], { type: "text/csv;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// CSV or XLSX (first sheet) as arrays of rows, so both go through the same header detection
+function readTableFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        if (/\.csv$/i.test(file.name)) {
+          resolve(Papa.parse(e.target.result, { skipEmptyLines: true }).data);
+          return;
+        }
+        const wb = XLSX.read(new Uint8Array(e.target.result), { type: "array" });
+        const first = wb.SheetNames[0];
+        if (!first) {
+          reject(new Error("No sheets found in workbook."));
+          return;
+        }
+        resolve(XLSX.utils.sheet_to_json(wb.Sheets[first], { header: 1, raw: false, defval: "" }));
+      } catch (err) {
+        reject(err);
+      }
+    };
+    reader.onerror = reject;
+    if (/\.csv$/i.test(file.name)) reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
+  });
+}
+
+function normalizeLedgerRows(rows) {
+  const out = [];
+  (rows || []).forEach((r, idx) => {
+    const company = clean(r["COMPANY NAME"] ?? r["COMPANY"] ?? r["NAME"]);
+    const amount = parseAmount(r["AMOUNT"]);
+    if (!company || !Number.isFinite(amount)) return;
+    out.push({
+      rowNumber: idx + 2, // +2 (header + 1-based)
+      month: clean(r["MONTH"]),
+      year: clean(r["YEAR"]),
+      period: clean(r["PERIOD"]) || `${clean(r["MONTH"])} ${clean(r["YEAR"])}`.trim(),
+      key: periodKeyOf(r),
+      company,
+      amount,
+      mode: clean(r["MODE"]).toUpperCase(),
+      reference: clean(r["REFERENCE"]),
+      raw: r
+    });
+  });
+  return out;
+}
+
+// --- Confirmation files: the banks and MoMo providers all name their columns differently
+const CONFIRMATION_COLUMNS = {
+  name: ["NAME", "BENEFICIARY", "BENEFICIARY NAME", "RECIPIENT", "RECIPIENT NAME", "PAYEE", "COMPANY NAME", "CUSTOMER NAME", "MOMO NAMES", "ACCOUNT NAME"],
+  amount: ["AMOUNT", "AMT", "VALUE", "TRANSACTION AMOUNT", "PAID AMOUNT", "AMOUNT (LSL)", "AMOUNT LSL"],
+  account: ["ACCOUNT", "ACCOUNT NUMBER", "ACCOUNT NO", "ACC NO", "BENEFICIARY ACCOUNT", "MSISDN", "MOBILE", "MOBILE NUMBER", "MOMO NUMBER", "PHONE", "PHONE NUMBER", "RECEIVER MSISDN", "CREDIT PARTY"],
+  reference: ["REFERENCE", "REF", "COMMENT", "NARRATIVE", "DESCRIPTION", "PAYMENT REFERENCE", "REMARK"],
+  status: ["STATUS", "RESULT", "TRANSACTION STATUS", "STATE", "OUTCOME"],
+  date: ["DATE", "VALUE DATE", "TRANSACTION DATE", "PROCESSED DATE", "COMPLETION DATE"],
+  reason: ["REASON", "FAILURE REASON", "ERROR", "ERROR MESSAGE", "MESSAGE", "REMARKS"]
+};
+
+const PAID_STATUSES = ["SUCCESS", "SUCCESSFUL", "COMPLETED", "COMPLETE", "PAID", "PROCESSED", "OK", "SETTLED", "APPROVED"];
+const FAILED_STATUSES = ["FAILED", "FAIL", "FAILURE", "REJECTED", "DECLINED", "ERROR", "RETURNED", "CANCELLED", "UNSUCCESSFUL"];
+const REVERSED_STATUSES = ["REVERSED", "REVERSAL", "REFUNDED", "RECALLED"];
+
+// First row that has a name-like and an amount-like column
+function findConfirmationHeader(rows) {
+  for (let i = 0; i < Math.min(rows.length, 20); i++) {
+    const headers = (rows[i] || []).map(normHeader);
+    const map = {};
+    for (const [field, aliases] of Object.entries(CONFIRMATION_COLUMNS)) {
+      const idx = headers.findIndex((h) => aliases.includes(h));
+      if (idx !== -1) map[field] = idx;
+    }
+    if (map.name !== undefined && map.amount !== undefined) return { rowIndex: i, map };
+  }
+  return null;
+}
+
+function confirmationStatus(raw, hasStatusColumn) {
+  const s = normName(raw);
+  if (!hasStatusColumn) return { status: "PAID", note: "" }; // settlement files list only what went out
+  if (PAID_STATUSES.includes(s)) return { status: "PAID", note: "" };
+  if (FAILED_STATUSES.includes(s)) return { status: "FAILED", note: "" };
+  if (REVERSED_STATUSES.includes(s)) return { status: "REVERSED", note: "" };
+  // Empty, PENDING, IN PROGRESS, ...: not an outcome yet, so the ledger status is left alone
+  return { status: "NEEDS REVIEW", note: `Status "${clean(raw) || "(empty)"}" not recognised — check with the bank/provider` };
+}
+
+function parseConfirmationRows(rows, fileName) {
+  const header = findConfirmationHeader(rows);
+  if (!header) return { error: `${fileName}: could not find a header row with a name and an amount column.` };
+
+  const { rowIndex, map } = header;
+  const cell = (row, field) => (map[field] === undefined ? "" : clean(row[map[field]]));
+  const out = [];
+  rows.slice(rowIndex + 1).forEach((row, idx) => {
+    if (!(row || []).some((v) => clean(v) !== "")) return;
+    const { status, note } = confirmationStatus(cell(row, "status"), map.status !== undefined);
+    out.push({
+      file: fileName,
+      line: rowIndex + 2 + idx,
+      name: cell(row, "name"),
+      amount: parseAmount(cell(row, "amount")),
+      account: cell(row, "account"),
+      reference: cell(row, "reference"),
+      statusRaw: cell(row, "status"),
+      status,
+      date: cell(row, "date"),
+      reason: [cell(row, "reason"), note].filter(Boolean).join("; ")
+    });
+  });
+  return { rows: out, columns: Object.keys(map) };
+}
+
+// --- Matching
+function nameScore(a, b) {
+  const A = normName(a);
+  const B = normName(b);
+  if (!A || !B) return 0;
+  if (A === B) return 1;
+  const ta = new Set(A.split(/[^A-Z0-9]+/).filter(Boolean));
+  const tb = new Set(B.split(/[^A-Z0-9]+/).filter(Boolean));
+  const inter = [...ta].filter((t) => tb.has(t)).length;
+  return inter / new Set([...ta, ...tb]).size;
+}
+
+// Same number, allowing for a country code or leading zeros on one side ("26658408664" vs "58408664")
+function numbersMatch(a, b) {
+  const da = digitsOnly(a);
+  const db = digitsOnly(b);
+  if (!da || !db) return false;
+  if (da === db) return true;
+  const [short, long] = da.length < db.length ? [da, db] : [db, da];
+  return short.length >= 8 && long.endsWith(short);
+}
+
+// Account / MoMo numbers on file for the supplier ("58408664/ 63227380" holds two)
+function supplierNumbers(company, mode) {
+  const b = bankingByName.get(normName(company));
+  if (!b) return [];
+  const raw = mode === "BANK" ? b["ACCOUNT"] : b["MOMO NUMBER"];
+  return clean(raw).split(/[\/,;]+/).map(clean).filter(Boolean);
+}
+
+function matchScore(conf, led) {
+  const acct = conf.account && led.numbers.some((n) => numbersMatch(conf.account, n));
+  const names = Math.max(nameScore(conf.name, led.company), nameScore(conf.name, led.momoNames));
+  const amountOk = Number.isFinite(conf.amount) && Math.abs(conf.amount - led.amount) < 0.005;
+  const refOk = conf.reference && led.reference &&
+    (normName(conf.reference).includes(normName(led.reference)) || normName(led.reference).includes(normName(conf.reference)));
+
+  // Amount plus one identifier, or both identifiers (then a different amount is reported, not ignored)
+  const nameOk = names >= 0.6;
+  if (!((amountOk && (acct || nameOk)) || (acct && nameOk))) return null;
+  return {
+    score: (acct ? 3 : 0) + names * 3 + (amountOk ? 2 : 0) + (refOk ? 1 : 0),
+    amountOk,
+    acct,
+    names
+  };
+}
+
+function reconcile(ledger, confirmations) {
+  const rows = ledger.map((r) => ({
+    ...r,
+    numbers: supplierNumbers(r.company, r.mode),
+    momoNames: clean(bankingByName.get(normName(r.company))?.["MOMO NAMES"]),
+    result: "UNMATCHED",
+    conf: null,
+    issue: "No confirmation found"
+  }));
+  const extras = [];
+
+  // Best pairs first, so a close match is not taken by a weaker one earlier in the file
+  const pairs = [];
+  confirmations.forEach((c, ci) => {
+    rows.forEach((r, ri) => {
+      const m = matchScore(c, r);
+      if (m) pairs.push({ ci, ri, ...m });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedConf = new Set();
+  for (const p of pairs) {
+    if (usedConf.has(p.ci) || rows[p.ri].conf) continue;
+    usedConf.add(p.ci);
+    const r = rows[p.ri];
+    const c = confirmations[p.ci];
+    r.conf = c;
+    r.result = c.status;
+
+    const issues = [];
+    if (c.status === "FAILED") issues.push(c.reason || "Reported as failed");
+    else if (c.status === "REVERSED") issues.push(c.reason || "Reported as reversed");
+    else if (c.reason) issues.push(c.reason);
+    if (!p.amountOk) issues.push(`Amount differs: ledger ${money(r.amount)}, confirmed ${money(c.amount)}`);
+    if (!p.acct && c.account) issues.push(`Paid to ${c.account}, not the number on file`);
+    r.issue = issues.join("; ");
+  }
+
+  confirmations.forEach((c, ci) => {
+    if (!usedConf.has(ci)) extras.push(c);
+  });
+
+  return { rows, extras };
+}
+
+// --- UI
+function setBadge(id, text) {
+  const el = $(id);
+  if (el) el.textContent = text;
+}
+
+function periodLabel(key) {
+  return `${MONTHS[key % 12]} ${Math.floor(key / 12)}`;
+}
+
+function renderPeriodOptions() {
+  const sel = $("reconPeriod");
+  if (!sel) return;
+  const keys = [...new Set(ledgerRows.map((r) => r.key).filter(Number.isFinite))].sort((a, b) => b - a);
+  sel.innerHTML = keys.map((k) => `<option value="${k}">${periodLabel(k)}</option>`).join("") +
+    `<option value="ALL">All periods</option>`;
+}
+
+function isDiscrepancy(r) {
+  return r.result !== "PAID" || !!r.issue;
+}
+
+function renderResult() {
+  const tbody = document.querySelector("#reconTable tbody");
+  if (!tbody || !lastResult) return;
+
+  const onlyIssues = $("reconShow")?.value === "ISSUES";
+  tbody.innerHTML = "";
+  for (const r of lastResult.rows) {
+    if (onlyIssues && !isDiscrepancy(r)) continue;
+    const tr = document.createElement("tr");
+    if (r.result === "PAID" && !r.issue) tr.classList.add("row-complete");
+    else tr.classList.add("row-missing");
+    tr.innerHTML = `
+      <td><span class="badge ${r.result === "PAID" ? "green" : "red"}">${escapeHtml(r.result)}</span></td>
+      <td>${escapeHtml(r.period)}</td>
+      <td>${escapeHtml(r.company)}</td>
+      <td>${escapeHtml(r.mode)}</td>
+      <td>${money(r.amount)}</td>
+      <td>${r.conf
+        ? `${escapeHtml(r.conf.name)} · ${money(r.conf.amount)}${r.conf.date ? ` · ${escapeHtml(r.conf.date)}` : ""}`
+        : "—"}</td>
+      <td>${escapeHtml(r.issue)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  const extraBody = document.querySelector("#reconExtraTable tbody");
+  if (extraBody) {
+    extraBody.innerHTML = "";
+    for (const c of lastResult.extras) {
+      const tr = document.createElement("tr");
+      tr.classList.add("row-missing");
+      tr.innerHTML = `
+        <td>${escapeHtml(c.file)} (line ${escapeHtml(c.line)})</td>
+        <td>${escapeHtml(c.name)}</td>
+        <td>${escapeHtml(c.account) || "—"}</td>
+        <td>${money(c.amount)}</td>
+        <td>${escapeHtml(c.statusRaw || c.status)}</td>
+        <td>${escapeHtml(c.reference)}</td>
+      `;
+      extraBody.appendChild(tr);
+    }
+    $("reconExtraBox").style.display = lastResult.extras.length ? "block" : "none";
+  }
+}
+
+const RECON_HEADERS = [
+  "RESULT", "PERIOD", "COMPANY NAME", "MODE", "LEDGER AMOUNT", "REFERENCE",
+  "CONFIRMED NAME", "CONFIRMED ACCOUNT", "CONFIRMED AMOUNT", "CONFIRMED STATUS", "CONFIRMED DATE",
+  "SOURCE FILE", "SOURCE LINE", "ISSUE"
+];
+
+function reconCsvRows(rows, extras) {
+  const fromLedger = rows.map((r) => ({
+    "RESULT": r.result,
+    "PERIOD": r.period,
+    "COMPANY NAME": r.company,
+    "MODE": r.mode,
+    "LEDGER AMOUNT": money(r.amount),
+    "REFERENCE": r.reference,
+    "CONFIRMED NAME": r.conf?.name || "",
+    "CONFIRMED ACCOUNT": r.conf?.account || "",
+    "CONFIRMED AMOUNT": r.conf ? money(r.conf.amount) : "",
+    "CONFIRMED STATUS": r.conf?.statusRaw || r.conf?.status || "",
+    "CONFIRMED DATE": r.conf?.date || "",
+    "SOURCE FILE": r.conf?.file || "",
+    "SOURCE LINE": r.conf?.line || "",
+    "ISSUE": r.issue
+  }));
+  const fromFiles = extras.map((c) => ({
+    "RESULT": "NOT IN LEDGER",
+    "PERIOD": "",
+    "COMPANY NAME": "",
+    "MODE": "",
+    "LEDGER AMOUNT": "",
+    "REFERENCE": c.reference,
+    "CONFIRMED NAME": c.name,
+    "CONFIRMED ACCOUNT": c.account,
+    "CONFIRMED AMOUNT": money(c.amount),
+    "CONFIRMED STATUS": c.statusRaw || c.status,
+    "CONFIRMED DATE": c.date,
+    "SOURCE FILE": c.file,
+    "SOURCE LINE": c.line,
+    "ISSUE": "Confirmation has no matching ledger row"
+  }));
+  return [...fromLedger, ...fromFiles];
+}
+
+// Confirmed rows take the confirmation's outcome and date; unmatched and needs-review rows keep their ledger status.
+// Every other column of the ledger is kept as it is, since this file replaces transactions.csv.
+function ledgerWithStatuses(rows) {
+  const today = new Date().toISOString().slice(0, 10);
+  const updates = new Map(rows.filter((r) => r.conf).map((r) => [r.raw, r]));
+  const extra = ledgerExtraHeaders();
+  return ledgerRaw.map((raw) => {
+    const out = {
+      ...Object.fromEntries(extra.map((h) => [h, clean(raw[h])])),
+      ...Object.fromEntries(LEDGER_HEADERS.map((h) => [h, clean(raw[h])]))
+    };
+    const r = updates.get(raw);
+    if (r && r.result !== "NEEDS REVIEW") {
+      out["STATUS"] = r.result;
+      out["STATUS DATE"] = r.conf.date || today;
+    }
+    return out;
+  });
+}
+
+// Columns the ledger file has besides LEDGER_HEADERS (PapaParse's __parsed_extra is not a column)
+function ledgerExtraHeaders() {
+  const extra = new Set();
+  for (const raw of ledgerRaw) {
+    for (const h of Object.keys(raw)) {
+      if (h && h !== "__parsed_extra" && !LEDGER_HEADERS.includes(normName(h))) extra.add(h);
+    }
+  }
+  return [...extra];
+}
+
+// Standard ledger columns first, then the extra ones
+function ledgerStatusHeaders() {
+  return [...LEDGER_HEADERS, ...ledgerExtraHeaders()];
+}
+
+function fileSlug() {
+  const p = lastResult?.period;
+  return Number.isFinite(p) ? `${monthShort(MONTHS[p % 12])}-${Math.floor(p / 12)}` : "all-periods";
+}
+
+async function loadLedger() {
+  const [banking, ledgerRawRows] = await Promise.all([
+    parseCsvUrl(BANKING_DETAILS_URL).catch(() => []),
+    parseCsvUrl(LEDGER_URL).catch(() => [])
+  ]);
+  bankingByName = new Map(banking.map((b) => [normName(b["COMPANY NAME"]), b]));
+  ledgerRaw = ledgerRawRows;
+  ledgerRows = normalizeLedgerRows(ledgerRaw);
+  ledgerSource = "data/transactions.csv";
+  renderPeriodOptions();
+  $("ledgerStatus").textContent = `${ledgerRows.length} ledger row(s) from ${ledgerSource}.`;
+}
+
+$("ledgerFile")?.addEventListener("change", async () => {
+  const file = $("ledgerFile").files?.[0];
+  if (!file) return;
+  try {
+    const rows = await readTableFile(file);
+    const [head, ...body] = rows;
+    const objects = body.map((r) => Object.fromEntries(head.map((h, i) => [clean(h), r[i]])));
+    ledgerRaw = objects;
+    ledgerRows = normalizeLedgerRows(objects);
+    ledgerSource = file.name;
+    renderPeriodOptions();
+    $("ledgerStatus").textContent = `${ledgerRows.length} ledger row(s) from ${ledgerSource} (local file).`;
+  } catch (err) {
+    $("ledgerStatus").textContent = `Failed to read ledger: ${err.message || err}`;
+  }
+});
+
+$("reconcileBtn")?.addEventListener("click", async () => {
+  const status = $("reconStatus");
+  const files = [...($("confirmFiles")?.files || [])];
+  $("reconDownloads").innerHTML = "";
+  if (!files.length) {
+    status.textContent = "Choose one or more confirmation files (CSV or XLSX) first.";
+    return;
+  }
+
+  status.textContent = "Reading confirmation files...";
+  const confirmations = [];
+  const problems = [];
+  for (const f of files) {
+    try {
+      const parsed = parseConfirmationRows(await readTableFile(f), f.name);
+      if (parsed.error) problems.push(parsed.error);
+      else confirmations.push(...parsed.rows);
+    } catch (err) {
+      problems.push(`${f.name}: ${err.message || err}`);
+    }
+  }
+
+  const periodValue = $("reconPeriod")?.value || "ALL";
+  const period = periodValue === "ALL" ? NaN : Number(periodValue);
+  const ledger = ledgerRows.filter((r) =>
+    (r.mode === "BANK" || r.mode === "MOMO") && (!Number.isFinite(period) || r.key === period)
+  );
+
+  const { rows, extras } = reconcile(ledger, confirmations);
+  lastResult = { rows, extras, period };
+
+  const count = (res) => rows.filter((r) => r.result === res).length;
+  const statusChanges = rows.filter((r) => r.conf && r.result !== "NEEDS REVIEW" && normName(r.raw["STATUS"]) !== r.result).length;
+  const paidTotal = rows.filter((r) => r.result === "PAID").reduce((a, r) => a + (r.conf?.amount || 0), 0);
+  const amountIssues = rows.filter((r) => r.issue.includes("Amount differs")).length;
+
+  $("reconSummary").style.display = "block";
+  setBadge("rcLedger", `Ledger rows: ${rows.length}`);
+  setBadge("rcPaid", `Paid: ${count("PAID")}`);
+  setBadge("rcFailed", `Failed: ${count("FAILED") + count("REVERSED")}`);
+  setBadge("rcUnmatched", `Unmatched: ${count("UNMATCHED")}`);
+  setBadge("rcReview", `Needs review: ${count("NEEDS REVIEW")}`);
+  setBadge("rcExtra", `Not in ledger: ${extras.length}`);
+  setBadge("rcAmount", `Amount differs: ${amountIssues}`);
+  renderResult();
+
+  const slug = fileSlug();
+  const all = reconCsvRows(rows, extras);
+  const discrepancies = reconCsvRows(rows.filter(isDiscrepancy), extras);
+  const out = [
+    { name: `reconciliation-${slug}.csv`, csv: toCsv(all, RECON_HEADERS), danger: false },
+    { name: `reconciliation-discrepancies-${slug}.csv`, csv: toCsv(discrepancies, RECON_HEADERS), danger: true },
+    { name: `transactions-status-${slug}.csv`, csv: toCsv(ledgerWithStatuses(rows), ledgerStatusHeaders()), danger: false }
+  ];
+  for (const f of out) {
+    const btn = document.createElement("button");
+    btn.textContent = `Download ${f.name}`;
+    btn.classList.add(f.danger ? "btn-danger" : "btn-success");
+    btn.style.marginRight = "8px";
+    btn.addEventListener("click", () => downloadText(f.name, f.csv));
+    $("reconDownloads").appendChild(btn);
+  }
+
+  status.textContent =
+    `Reconciled ${confirmations.length} confirmation(s) from ${files.length - problems.length} file(s) against ` +
+    `${rows.length} ledger row(s) (${ledgerSource}). Paid total: ${money(paidTotal)}. ` +
+    `Discrepancies: ${discrepancies.length}. Ledger status changes: ${statusChanges}.` +
+    (problems.length ? ` Skipped — ${problems.join(" ")}` : "");
+});
+
+$("reconShow")?.addEventListener("change", renderResult);
+
+loadLedger().catch((err) => {
+  $("ledgerStatus").textContent = `Failed to load data files: ${err.message || err}. Run via a local server.`;
+});